@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * pdf-outline - read and write PDF outlines without launching the editor
+ *
+ *   pdf-outline extract <input.pdf> [-o <outline file>]
+ *   pdf-outline apply <input.pdf> <outline file> -o <output.pdf>
+ *   pdf-outline strip <input.pdf> -o <output.pdf>
+ *   pdf-outline convert <outline file> [-o <outline file>]
+ *
+ * Outline files are JSON (.json), indented text (.txt), Markdown headings (.md), CSV
+ * (.csv), OPML (.opml) or pdftk bookmark records (dump_data, recognized by their content).
+ * LaTeX bookmark commands (.tex) and EPUB navigation (.xhtml, .ncx) are written only.
+ *
+ * Exit codes: 0 success, 1 --check found problems, 2 invalid usage, 3 failure
+ * (unreadable input, wrong password, ...).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { applyOutlineToPdf, extractOutlineWithDiagnostics } from '../shared/outline.js';
+import { loadPdfDocument, isPasswordError } from '../shared/encryption.js';
+import {
+  OUTLINE_FORMATS,
+  outlineFormatFor,
+  serializeOutline,
+  parseOutlineWithDiagnostics
+} from '../shared/outline-file.js';
+import { computePageLabels } from '../shared/page-labels.js';
+
+const EXIT_CHECK_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILURE = 3;
+
+const USAGE = `Usage:
+  pdf-outline extract <input.pdf> [-o <outline file>] [--format <format>] [--check]
+  pdf-outline apply <input.pdf> <outline file> -o <output.pdf> [--check]
+                    [--incremental] [--preserve-named-dests]
+  pdf-outline strip <input.pdf> -o <output.pdf> [--incremental]
+  pdf-outline convert <outline file> [-o <outline file>] [--format <format>]
+
+Outline files: .json, .txt (indented text or pdftk dump_data), .md, .csv, .opml;
+written only: .tex (LaTeX bookmarks), .xhtml (EPUB 3 nav), .ncx (EPUB 2 NCX)
+
+Options:
+  -o, --output <file>        Write to a file instead of standard output
+  -f, --format <json|text|markdown|csv|opml|pdftk|latex|epub-nav|epub-ncx>
+                             Outline format; defaults to the file extension (.txt is text,
+                             .md markdown, .csv csv, .opml opml, .tex latex, .xhtml epub-nav,
+                             .ncx epub-ncx) or, when reading, to pdftk for dump_data
+                             bookmark records; the last three are written only
+  -p, --password <password>  Password of an encrypted PDF
+      --check                extract: fail when the outline is damaged
+                             apply: fail when an entry points past the last page;
+                             without -o only the check is run
+      --incremental          Append the change as an incremental update
+      --preserve-named-dests Keep named destinations that still exist
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  password: { type: 'string', short: 'p', default: '' },
+  check: { type: 'boolean', default: false },
+  incremental: { type: 'boolean', default: false },
+  'preserve-named-dests': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const usageError = message => Object.assign(new Error(message), { code: 'USAGE' });
+
+// Format from --format, otherwise from the file name and (for files being read) their text
+const formatFor = (filePath, explicit, text = null) => {
+  if (explicit) {
+    if (!OUTLINE_FORMATS[explicit]) throw usageError(`Unknown format: ${explicit}`);
+    return explicit;
+  }
+  return outlineFormatFor(filePath, text);
+};
+
+const writeOutput = async (output, content) => {
+  if (output) {
+    await writeFile(output, content);
+  } else {
+    process.stdout.write(content);
+  }
+};
+
+const requireArgs = (positionals, count, name) => {
+  if (positionals.length !== count) throw usageError(`"${name}" expects ${count} file argument${count === 1 ? '' : 's'}`);
+};
+
+// Entries whose target page is past the end of the document (links to other files are skipped)
+const findOutOfRangeItems = (items, pageCount) => items.filter(item =>
+  !item.action && ((item.pageIndex ?? 0) < 0 || (item.pageIndex ?? 0) >= pageCount));
+
+// Read an outline file, warning about the entries that could not be read as written
+const readOutlineFile = async (filePath, explicitFormat) => {
+  const text = await readFile(filePath, 'utf-8');
+  const format = formatFor(filePath, explicitFormat, text);
+  const { items, diagnostics } = parseOutlineWithDiagnostics(text, format);
+  diagnostics.forEach(({ message }) => console.error(`warning: ${filePath}: ${message}`));
+  return { items, format };
+};
+
+const extract = async ([input], values) => {
+  const loaded = await loadPdfDocument(await readFile(input), { password: values.password });
+  const { items, diagnostics, pageLabels } = await extractOutlineWithDiagnostics(null, { loaded });
+  diagnostics.forEach(({ message }) => console.error(`warning: ${message}`));
+  await writeOutput(values.output, serializeOutline(items, formatFor(values.output, values.format), {
+    pageLabels: pageLabels ? computePageLabels(pageLabels, loaded.pdfDoc.getPageCount()) : null,
+    pageCount: loaded.pdfDoc.getPageCount(),
+    title: loaded.pdfDoc.getTitle()?.trim() || undefined
+  }));
+  return values.check && diagnostics.length > 0 ? EXIT_CHECK_FAILED : 0;
+};
+
+const apply = async ([input, outlinePath], values) => {
+  const data = await readFile(input);
+  const { items } = await readOutlineFile(outlinePath, values.format);
+
+  if (values.check) {
+    const { pdfDoc } = await loadPdfDocument(data, { password: values.password, updateMetadata: false });
+    const pageCount = pdfDoc.getPageCount();
+    const outOfRange = findOutOfRangeItems(items, pageCount);
+    outOfRange.forEach(item => console.error(
+      `error: "${item.title ?? 'Untitled'}" points to page ${(item.pageIndex ?? 0) + 1}, but the document has ${pageCount} pages`
+    ));
+    if (outOfRange.length > 0) return EXIT_CHECK_FAILED;
+    if (!values.output) return 0;
+  } else if (!values.output) {
+    throw usageError('"apply" needs an output file (-o)');
+  }
+
+  const updated = await applyOutlineToPdf(data, items, {
+    password: values.password,
+    incremental: values.incremental,
+    preserveNamedDests: values['preserve-named-dests']
+  });
+  await writeFile(values.output, updated);
+  return 0;
+};
+
+const strip = async ([input], values) => {
+  if (!values.output) throw usageError('"strip" needs an output file (-o)');
+  const updated = await applyOutlineToPdf(await readFile(input), [], {
+    password: values.password,
+    incremental: values.incremental
+  });
+  await writeFile(values.output, updated);
+  return 0;
+};
+
+const convert = async ([input], values) => {
+  const { items, format: source } = await readOutlineFile(input, null);
+  // Without an explicit target, convert JSON to text and anything else to JSON
+  const target = values.format || values.output
+    ? formatFor(values.output, values.format)
+    : (source === 'json' ? 'text' : 'json');
+  await writeOutput(values.output, serializeOutline(items, target));
+  return 0;
+};
+
+const COMMANDS = {
+  extract: { run: extract, files: 1 },
+  apply: { run: apply, files: 2 },
+  strip: { run: strip, files: 1 },
+  convert: { run: convert, files: 1 }
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals: [commandName, ...files] } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`${commandName ? `Unknown command: ${commandName}\n\n` : ''}${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    requireArgs(files, command.files, commandName);
+    return await command.run(files, values);
+  } catch (error) {
+    if (error.code === 'USAGE') {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error(`error: ${error.message}${isPasswordError(error) ? ' (use --password)' : ''}`);
+    return EXIT_FAILURE;
+  }
+};
+
+process.exitCode = await main(process.argv.slice(2));
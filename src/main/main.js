@@ -1,9 +1,13 @@
 import { app, BrowserWindow, dialog, ipcMain } from 'electron';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { readFile, writeFile, copyFile } from 'node:fs/promises';
+import { readFile, writeFile, copyFile, stat, readdir, access } from 'node:fs/promises';
 import { createRequire } from 'node:module';
-import { applyOutlineToPdf, extractOutline } from '../shared/outline.js';
+import { applyOutlineToPdf, extractOutline, extractOutlineWithDiagnostics } from '../shared/outline.js';
+import { isPasswordError, loadPdfDocument } from '../shared/encryption.js';
+import { mergePdfs } from '../shared/merge.js';
+import { splitPdf } from '../shared/split.js';
+import { OUTLINE_FORMATS, outlineFormatFor, parseOutlineWithDiagnostics, serializeOutline } from '../shared/outline-file.js';
 import { loadSettings, saveSettings } from './settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -17,6 +21,12 @@ const APP_VERSION = packageJson.version;
 let mainWindow = null;
 let pendingFilePath = null;
 let isQuitting = false;
+// The open file as parsed when it was read, reused by its next save: { filePath, size, mtimeMs, loaded }.
+// Dropped once taken and when the window closes or reloads.
+let openDocument = null;
+
+// Milliseconds between progress messages to the renderer
+const PROGRESS_INTERVAL = 100;
 
 const createWindow = () => {
   mainWindow = new BrowserWindow({
@@ -52,8 +62,14 @@ const createWindow = () => {
     handleCloseWithUnsavedChanges();
   });
   
+  // A reload or closed window leaves no document open
+  mainWindow.webContents.on('did-start-loading', () => {
+    openDocument = null;
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
+    openDocument = null;
   });
 };
 
@@ -99,17 +115,59 @@ const handleCloseWithUnsavedChanges = async () => {
   }
 };
 
-// Open a file in the renderer
-const openFileInRenderer = async (filePath) => {
-  if (!mainWindow) return;
-  
+// Report the progress of a long step to the renderer ({ label, fraction }, fraction null
+// when unknown); repeated reports for the same step are throttled
+const createProgressReporter = (label) => {
+  let lastSent = 0;
+  return (fraction = null) => {
+    const now = Date.now();
+    if (fraction !== null && now - lastSent < PROGRESS_INTERVAL) return;
+    lastSent = now;
+    mainWindow?.webContents.send('progress', { label, fraction });
+  };
+};
+
+// Read a PDF's outline, page labels and any problems found in them. The parsed document
+// is kept for the next save of the file. Encrypted files that need a password are
+// returned without an outline; the renderer asks for the password and reads again with it.
+// The renderer loads the pages itself, so the file's bytes are not sent over IPC.
+const readPdfWithOutline = async (filePath, password = '') => {
+  openDocument = null;
+  const data = await readFile(filePath);
+  const { size, mtimeMs } = await stat(filePath);
+  let loaded;
   try {
-    const data = await readFile(filePath);
-    const outline = await extractOutline(data);
-    mainWindow.webContents.send('open-file', { filePath, data: data.buffer, outline });
+    loaded = await loadPdfDocument(data, {
+      password,
+      updateMetadata: false,
+      onProgress: createProgressReporter('Reading outline')
+    });
   } catch (err) {
-    console.error('Failed to open file:', err);
+    if (!isPasswordError(err)) throw err;
+    return { filePath, outline: [], diagnostics: [], pageLabels: null, passwordRequired: true };
   }
+
+  const { items, diagnostics, pageLabels } = await extractOutlineWithDiagnostics(data, { loaded });
+  openDocument = { filePath, size, mtimeMs, loaded };
+  return { filePath, outline: items, diagnostics, pageLabels };
+};
+
+// The source of a save: the file's bytes, with the document parsed on open when the file
+// has not changed since (null otherwise, to parse it again). Saving modifies the parsed
+// document, so it is handed out only once.
+const takeSourceDocument = async (sourcePath) => {
+  const cached = openDocument;
+  openDocument = null;
+  const data = await readFile(sourcePath);
+  if (cached?.filePath !== sourcePath) return { data, loaded: null };
+  const { size, mtimeMs } = await stat(sourcePath);
+  return { data, loaded: size === cached.size && mtimeMs === cached.mtimeMs ? cached.loaded : null };
+};
+
+// Open a file in the renderer
+const openFileInRenderer = (filePath) => {
+  if (!mainWindow) return;
+  mainWindow.webContents.send('open-file', { filePath });
 };
 
 // Handle file open from command line arguments
@@ -173,14 +231,45 @@ ipcMain.handle('open-pdf-dialog', async () => {
     return null;
   }
 
-  const filePath = filePaths[0];
-  const data = await readFile(filePath);
-  const outline = await extractOutline(data);
-  return { filePath, data: data.buffer, outline };
+  return { filePath: filePaths[0] };
 });
 
+ipcMain.handle('read-outline', (_event, { filePath, password }) => readPdfWithOutline(filePath, password ?? ''));
+
+// Outline of another file (or a version of the open one) for comparison; the document
+// kept for the next save is left alone. Files that need a password return passwordRequired.
+ipcMain.handle('extract-outline', async (_event, { filePath, password }) => {
+  try {
+    return { outline: await extractOutline(await readFile(filePath), { password: password ?? '' }) };
+  } catch (err) {
+    if (isPasswordError(err)) return { passwordRequired: true };
+    if (err.code === 'ENOENT') throw new Error(`${path.basename(filePath)} does not exist`);
+    throw err;
+  }
+});
+
+// Write the outline with options from settings; signed files are always updated incrementally
+// and encrypted files are encrypted again with the password they were opened with.
+// pageLabels replaces the page label ranges; null keeps those of the file.
+// Returns the new bytes and the writer's report (save mode, reclaimed objects).
+const writeOutline = async (sourcePath, outline, password, pageLabels) => {
+  const { preserveNamedDests, incrementalSave } = await loadSettings();
+  const { data, loaded } = await takeSourceDocument(sourcePath);
+  let report = null;
+  const updated = await applyOutlineToPdf(data, outline, {
+    password: password ?? '',
+    pageLabels: pageLabels ?? null,
+    loaded,
+    onProgress: createProgressReporter('Saving'),
+    preserveNamedDests,
+    incremental: incrementalSave ? true : 'auto',
+    onReport: (value) => { report = value; }
+  });
+  return { updated, report };
+};
+
 // Save (overwrite original with backup)
-ipcMain.handle('save-pdf', async (_event, { sourcePath, outline }) => {
+ipcMain.handle('save-pdf', async (_event, { sourcePath, outline, password, pageLabels }) => {
   if (!sourcePath) {
     return null;
   }
@@ -193,14 +282,13 @@ ipcMain.handle('save-pdf', async (_event, { sourcePath, outline }) => {
     console.error('Failed to create backup:', err);
   }
 
-  const sourceData = await readFile(sourcePath);
-  const updated = await applyOutlineToPdf(sourceData, outline);
+  const { updated, report } = await writeOutline(sourcePath, outline, password, pageLabels);
   await writeFile(sourcePath, Buffer.from(updated));
-  return { filePath: sourcePath };
+  return { filePath: sourcePath, ...report };
 });
 
 // Save As (choose new location)
-ipcMain.handle('save-pdf-as', async (_event, { sourcePath, outline }) => {
+ipcMain.handle('save-pdf-as', async (_event, { sourcePath, outline, password, pageLabels }) => {
   const { canceled, filePath } = await dialog.showSaveDialog({
     title: 'Save PDF As',
     defaultPath: sourcePath ?? 'outline.pdf',
@@ -211,10 +299,26 @@ ipcMain.handle('save-pdf-as', async (_event, { sourcePath, outline }) => {
     return null;
   }
 
-  const sourceData = await readFile(sourcePath);
-  const updated = await applyOutlineToPdf(sourceData, outline);
+  const { updated, report } = await writeOutline(sourcePath, outline, password, pageLabels);
   await writeFile(filePath, Buffer.from(updated));
-  return { filePath };
+  return { filePath, ...report };
+});
+
+// Choose a PDF to link to from an outline entry (path relative to the current document)
+ipcMain.handle('choose-link-pdf-dialog', async (_event, { relativeTo } = {}) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Select Linked PDF',
+    filters: [{ name: 'PDF', extensions: ['pdf'] }],
+    properties: ['openFile']
+  });
+
+  if (canceled || filePaths.length === 0) return null;
+
+  const filePath = relativeTo
+    ? path.relative(path.dirname(relativeTo), filePaths[0])
+    : filePaths[0];
+  // File specifications use forward slashes on every platform
+  return { filePath: filePath.split(path.sep).join('/') };
 });
 
 // Settings
@@ -253,3 +357,177 @@ ipcMain.handle('save-toc-json-dialog', async (_event, payload) => {
   await writeFile(filePath, JSON.stringify(payload, null, 2), 'utf-8');
   return { filePath };
 });
+
+// Outline files (JSON, indented text, Markdown, CSV, OPML or pdftk bookmarks), parsed here
+// so the renderer gets items and the problems met reading them. pageLabels lets CSV rows
+// give their page by label.
+ipcMain.handle('open-outline-file-dialog', async (_event, { title, pageLabels = null } = {}) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: title ?? 'Select Outline File',
+    filters: [{ name: 'Outline', extensions: ['json', 'txt', 'md', 'markdown', 'csv', 'opml'] }],
+    properties: ['openFile']
+  });
+
+  if (canceled || filePaths.length === 0) return null;
+
+  const filePath = filePaths[0];
+  const text = await readFile(filePath, 'utf-8');
+  const format = outlineFormatFor(filePath, text);
+  const { items, diagnostics } = parseOutlineWithDiagnostics(text, format, { pageLabels });
+  return { filePath, format, items, diagnostics };
+});
+
+ipcMain.handle('save-outline-file-dialog', async (_event, { format, items, defaultPath, pageLabels = null, pageCount = 0, title }) => {
+  const { name, extensions } = OUTLINE_FORMATS[format];
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: `Export Outline (${name})`,
+    defaultPath: defaultPath ?? `outline.${extensions[0]}`,
+    filters: [{ name, extensions }]
+  });
+
+  if (canceled || !filePath) return null;
+
+  await writeFile(filePath, serializeOutline(items, format, { pageLabels, pageCount, title }), 'utf-8');
+  return { filePath };
+});
+
+// Merging
+ipcMain.handle('open-pdf-files-dialog', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Select PDFs to Merge',
+    filters: [{ name: 'PDF', extensions: ['pdf'] }],
+    properties: ['openFile', 'multiSelections']
+  });
+
+  if (canceled || filePaths.length === 0) return null;
+  return { filePaths };
+});
+
+ipcMain.handle('save-pdf-dialog', async (_event, { title, defaultPath }) => {
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title,
+    defaultPath,
+    filters: [{ name: 'PDF', extensions: ['pdf'] }]
+  });
+
+  if (canceled || !filePath) return null;
+  return { filePath };
+});
+
+// Merge PDFs in the given order into outputPath. passwords maps source paths to their
+// passwords; a source that needs one is returned as passwordRequired.
+// Returns { filePath, pageCount, entries }.
+ipcMain.handle('merge-pdfs', async (_event, { filePaths, passwords = {}, outputPath }) => {
+  const sources = [];
+  for (const filePath of filePaths) {
+    sources.push({
+      data: await readFile(filePath),
+      name: path.basename(filePath, path.extname(filePath)),
+      password: passwords[filePath] ?? ''
+    });
+  }
+
+  try {
+    const { data, outline, pageCount } = await mergePdfs(sources, { onProgress: createProgressReporter('Merging') });
+    await writeFile(outputPath, Buffer.from(data));
+    return { filePath: outputPath, pageCount, entries: outline.length };
+  } catch (err) {
+    if (!isPasswordError(err)) throw err;
+    return { passwordRequired: filePaths[err.sourceIndex] };
+  }
+});
+
+// Ask before files that already exist are replaced; resolves to false when cancelled
+const confirmReplaceFiles = async (targets) => {
+  const existing = [];
+  for (const target of targets) {
+    try {
+      await access(target);
+      existing.push(path.basename(target));
+    } catch {
+      // Not there yet
+    }
+  }
+  if (existing.length === 0) return true;
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Replace', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Replace Files',
+    message: `${existing.length} of the files already exist${existing.length === 1 ? 's' : ''} in the output folder.`,
+    detail: `${existing.slice(0, 5).join('\n')}${existing.length > 5 ? '\n…' : ''}\n\nReplace them?`
+  });
+  return response === 0;
+};
+
+// Split a PDF into one file per section ({ fileName, title, startPage, endPage, items }),
+// asking before existing files are replaced. Returns { files } or null when cancelled.
+ipcMain.handle('split-pdf', async (_event, { sourcePath, password, sections, outputFolder }) => {
+  const targets = sections.map(section => path.join(outputFolder, section.fileName));
+  if (targets.some(target => path.resolve(target) === path.resolve(sourcePath))) {
+    throw new Error('A section would overwrite the document being split');
+  }
+
+  if (!await confirmReplaceFiles(targets)) return null;
+
+  await splitPdf(
+    await readFile(sourcePath),
+    sections,
+    (section, data) => writeFile(path.join(outputFolder, section.fileName), Buffer.from(data)),
+    { password: password ?? '', onProgress: createProgressReporter('Splitting') }
+  );
+  return { files: sections.length };
+});
+
+// Batch processing
+ipcMain.handle('open-folder-dialog', async (_event, { title }) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title,
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (canceled || filePaths.length === 0) return null;
+  return { folderPath: filePaths[0] };
+});
+
+// PDF files directly inside a folder, in name order
+ipcMain.handle('list-pdf-files', async (_event, { folderPath }) => {
+  const entries = await readdir(folderPath, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.pdf'))
+    .map(entry => path.join(folderPath, entry.name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+});
+
+// Before a batch: whether the copies of filePaths may be written to outputFolder, asking
+// first when some of them are already there
+ipcMain.handle('confirm-batch-output', (_event, { filePaths, outputFolder }) =>
+  confirmReplaceFiles(filePaths.map(filePath => path.join(outputFolder, path.basename(filePath)))));
+
+// Write an outline (an empty one removes it) into a copy of a PDF in outputFolder, with the
+// save options from the settings; the source file is never overwritten.
+// Returns { outputPath, entries, warnings }.
+ipcMain.handle('batch-write-outline', async (_event, { filePath, outputFolder, outline }) => {
+  const outputPath = path.join(outputFolder, path.basename(filePath));
+  if (path.resolve(outputPath) === path.resolve(filePath)) {
+    throw new Error('The output folder must not be the folder of the input files');
+  }
+
+  const { preserveNamedDests, incrementalSave } = await loadSettings();
+  const data = await readFile(filePath);
+  const loaded = await loadPdfDocument(data, { updateMetadata: false });
+  const pageCount = loaded.pdfDoc.getPageCount();
+  const warnings = outline
+    .filter(item => !item.action && (item.pageIndex ?? 0) >= pageCount)
+    .map(item => `"${item.title ?? 'Untitled'}" points to page ${item.pageIndex + 1} of ${pageCount}; it opens page 1`);
+
+  const updated = await applyOutlineToPdf(data, outline, {
+    loaded,
+    preserveNamedDests,
+    incremental: incrementalSave ? true : 'auto'
+  });
+  await writeFile(outputPath, Buffer.from(updated));
+  return { outputPath, entries: outline.length, warnings };
+});
@@ -1,6 +1,6 @@
 /**
  * Settings management
- * Stores LLM configuration in ~/.config/pdf-outline-editor/settings.json
+ * Stores LLM and save configuration in ~/.config/pdf-outline-editor/settings.json
  */
 
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
@@ -15,7 +15,9 @@ const DEFAULT_SETTINGS = {
   openaiApiKey: '',
   openaiModel: 'gpt-5-mini',
   ollamaPort: 11434,
-  ollamaModel: 'llama3'
+  ollamaModel: 'llama3',
+  preserveNamedDests: false,
+  incrementalSave: false
 };
 
 export const loadSettings = async () => {
@@ -34,7 +36,9 @@ export const saveSettings = async (settings) => {
     openaiApiKey: settings.openaiApiKey || '',
     openaiModel: settings.openaiModel || DEFAULT_SETTINGS.openaiModel,
     ollamaPort: settings.ollamaPort || DEFAULT_SETTINGS.ollamaPort,
-    ollamaModel: settings.ollamaModel || DEFAULT_SETTINGS.ollamaModel
+    ollamaModel: settings.ollamaModel || DEFAULT_SETTINGS.ollamaModel,
+    preserveNamedDests: Boolean(settings.preserveNamedDests),
+    incrementalSave: Boolean(settings.incrementalSave)
   };
   await writeFile(CONFIG_FILE, JSON.stringify(toSave, null, 2), 'utf-8');
   return toSave;
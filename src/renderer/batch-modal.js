@@ -0,0 +1,230 @@
+/**
+ * Batch modal - applies one outline operation to every PDF in a folder and writes
+ * the results to another folder, listing what happened to each file
+ */
+
+import { getSettings } from './settings-modal.js';
+import { ensurePdfJsLoaded, getPdfjsLib } from './pdf-viewer.js';
+import { importTocFromPages, parsePageRange } from './toc-import.js';
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+
+let inputFolder = null;
+let outputFolder = null;
+// Items of the outline file for the "apply" operation
+let outlineItems = null;
+// Run in progress, cancelled from the Close button
+let activeBatch = null;
+
+const getOperation = () => document.querySelector('input[name="batchOperation"]:checked')?.value;
+
+const setStatus = (msg, isError = false) => {
+  const el = document.getElementById('batchStatus');
+  el.textContent = msg;
+  el.style.color = isError ? '#dc3545' : 'var(--muted)';
+};
+
+// Errors from the main process arrive wrapped in "Error invoking remote method ..."
+const errorMessage = error => String(error?.message ?? error)
+  .replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+
+const updateOperationFields = () => {
+  const operation = getOperation();
+  document.getElementById('batchOutlineGroup').style.display = operation === 'apply' ? 'block' : 'none';
+  document.getElementById('batchTocPagesGroup').style.display = operation === 'llm-import' ? 'block' : 'none';
+};
+
+const setRunningState = (running) => {
+  document.getElementById('batchStart').disabled = running;
+  document.getElementById('batchClose').textContent = running ? 'Cancel' : 'Close';
+  document.querySelectorAll('#batchModal .modal-field-row button, input[name="batchOperation"], #batchTocPages')
+    .forEach((control) => { control.disabled = running; });
+};
+
+// One row per file: name, entries written, warnings, result
+const addResultRow = (filePath) => {
+  const row = document.createElement('tr');
+  const cells = [path.basename(filePath), '', '', 'Waiting'].map((text) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+    return cell;
+  });
+  cells[2].className = 'batch-warnings';
+  document.getElementById('batchResults').appendChild(row);
+  return {
+    update: ({ entries = '', warnings = [], result, failed = false }) => {
+      cells[1].textContent = String(entries);
+      cells[2].textContent = warnings.join('\n');
+      cells[3].textContent = result;
+      cells[3].classList.toggle('failed', failed);
+    },
+    scrollIntoView: () => row.scrollIntoView({ block: 'nearest' })
+  };
+};
+
+// Outline for one file of an LLM import, from the TOC printed on the given pages
+const importOutline = async (filePath, tocPages, settings, signal) => {
+  await ensurePdfJsLoaded();
+  const data = await require('fs/promises').readFile(filePath);
+  const pdfDoc = await getPdfjsLib().getDocument({ data: new Uint8Array(data) }).promise;
+  try {
+    const pages = parsePageRange(tocPages, pdfDoc.numPages);
+    if (pages.length === 0) throw new Error(`The document has no pages ${tocPages}`);
+    const outline = await importTocFromPages(pdfDoc, pages, { settings, signal });
+    if (outline.length === 0) throw new Error('No TOC entries found');
+
+    const warnings = [];
+    const uncertain = outline.filter(item => item.uncertain).length;
+    const unverified = outline.filter(item => item.unverified).length;
+    if (uncertain > 0) warnings.push(`${uncertain} uncertain entr${uncertain === 1 ? 'y' : 'ies'}`);
+    if (unverified > 0) warnings.push(`${unverified} entr${unverified === 1 ? 'y' : 'ies'} not found in the text`);
+    return { outline, warnings };
+  } finally {
+    await pdfDoc.destroy();
+  }
+};
+
+// Checks the form; returns a message for the first problem, or null
+const validate = (operation) => {
+  if (!inputFolder) return 'Choose the folder with the PDF files.';
+  if (!outputFolder) return 'Choose the folder to write the results to.';
+  if (path.resolve(inputFolder) === path.resolve(outputFolder)) {
+    return 'The output folder must not be the input folder; files are never overwritten.';
+  }
+  if (operation === 'apply' && !outlineItems) return 'Choose the outline file to apply.';
+  if (operation === 'llm-import' && !document.getElementById('batchTocPages').value.trim()) {
+    return 'Enter the pages that hold the table of contents.';
+  }
+  return null;
+};
+
+const runBatch = async () => {
+  const operation = getOperation();
+  if (activeBatch || !operation) return;
+
+  const problem = validate(operation);
+  if (problem) {
+    setStatus(problem, true);
+    return;
+  }
+
+  const controller = new AbortController();
+  activeBatch = controller;
+  setRunningState(true);
+  document.getElementById('batchResults').innerHTML = '';
+
+  let succeeded = 0;
+  let failed = 0;
+  try {
+    const files = await ipcRenderer.invoke('list-pdf-files', { folderPath: inputFolder });
+    if (files.length === 0) {
+      setStatus('The input folder contains no PDF files.', true);
+      return;
+    }
+
+    if (!await ipcRenderer.invoke('confirm-batch-output', { filePaths: files, outputFolder })) {
+      setStatus('Cancelled; no files were written.');
+      return;
+    }
+
+    const rows = files.map(addResultRow);
+    const settings = operation === 'llm-import' ? await getSettings() : null;
+    const tocPages = document.getElementById('batchTocPages').value.trim();
+
+    for (const [index, filePath] of files.entries()) {
+      if (controller.signal.aborted) break;
+      const row = rows[index];
+      setStatus(`Processing ${index + 1} of ${files.length}...`);
+      row.update({ result: 'Running' });
+      row.scrollIntoView();
+
+      try {
+        let outline = [];
+        let warnings = [];
+        if (operation === 'apply') outline = outlineItems;
+        if (operation === 'llm-import') ({ outline, warnings } = await importOutline(filePath, tocPages, settings, controller.signal));
+
+        const result = await ipcRenderer.invoke('batch-write-outline', { filePath, outputFolder, outline });
+        row.update({ entries: result.entries, warnings: [...warnings, ...result.warnings], result: 'Written' });
+        succeeded++;
+      } catch (error) {
+        if (error?.name === 'AbortError') {
+          row.update({ result: 'Cancelled' });
+          break;
+        }
+        row.update({ result: errorMessage(error), failed: true });
+        failed++;
+      }
+    }
+
+    const summary = `${succeeded} file${succeeded === 1 ? '' : 's'} written${failed > 0 ? `, ${failed} failed` : ''}.`;
+    setStatus(controller.signal.aborted ? `Cancelled. ${summary}` : `Done. ${summary}`, failed > 0);
+  } catch (error) {
+    setStatus(`Error: ${errorMessage(error)}`, true);
+  } finally {
+    activeBatch = null;
+    setRunningState(false);
+  }
+};
+
+const chooseFolder = async (title, inputId) => {
+  const result = await ipcRenderer.invoke('open-folder-dialog', { title });
+  if (!result) return null;
+  document.getElementById(inputId).value = result.folderPath;
+  return result.folderPath;
+};
+
+const chooseOutlineFile = async () => {
+  try {
+    const result = await ipcRenderer.invoke('open-outline-file-dialog', { title: 'Select Outline to Apply' });
+    if (!result) return;
+    outlineItems = result.items;
+    document.getElementById('batchOutlineFile').value = result.filePath;
+    const [firstProblem] = result.diagnostics;
+    setStatus(`Outline with ${outlineItems.length} entries loaded.${firstProblem
+      ? ` ${result.diagnostics.length} problem${result.diagnostics.length === 1 ? '' : 's'} in the file, first: ${firstProblem.message}`
+      : ''}`, Boolean(firstProblem));
+  } catch (error) {
+    outlineItems = null;
+    document.getElementById('batchOutlineFile').value = '';
+    setStatus(`Could not read the outline file: ${errorMessage(error)}`, true);
+  }
+};
+
+export const openBatchModal = () => {
+  setStatus('');
+  updateOperationFields();
+  document.getElementById('batchModal').style.display = 'flex';
+};
+
+// Closing while a run is in progress cancels it instead
+const closeOrCancel = () => {
+  if (activeBatch) {
+    activeBatch.abort();
+    setStatus('Cancelling...');
+    return;
+  }
+  document.getElementById('batchModal').style.display = 'none';
+};
+
+export const setupBatchModalHandlers = () => {
+  document.querySelectorAll('input[name="batchOperation"]').forEach((radio) => {
+    radio.addEventListener('change', updateOperationFields);
+  });
+
+  document.getElementById('batchChooseInput').addEventListener('click', async () => {
+    inputFolder = await chooseFolder('Select Folder with PDF Files', 'batchInputFolder') ?? inputFolder;
+  });
+  document.getElementById('batchChooseOutput').addEventListener('click', async () => {
+    outputFolder = await chooseFolder('Select Output Folder', 'batchOutputFolder') ?? outputFolder;
+  });
+  document.getElementById('batchChooseOutline').addEventListener('click', chooseOutlineFile);
+  document.getElementById('batchStart').addEventListener('click', runBatch);
+  document.getElementById('batchClose').addEventListener('click', closeOrCancel);
+
+  document.getElementById('batchModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeOrCancel();
+  });
+};
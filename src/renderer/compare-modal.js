@@ -0,0 +1,256 @@
+/**
+ * Compare modal - shows the differences between the outline of this document and that of
+ * another PDF or of the file's backup, and applies chosen changes to the current outline
+ */
+
+import { state } from './state.js';
+import { saveHistory } from './history.js';
+import { promptForPassword } from './password-modal.js';
+import { diffOutlines } from '../shared/outline-diff.js';
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+
+// Callback to refresh UI after changes are applied - set by main module
+let refreshCallback = null;
+export const setRefreshCallback = (callback) => {
+  refreshCallback = callback;
+};
+
+const CHANGE_NAMES = { renamed: 'Renamed', moved: 'Moved', level: 'Level', page: 'Page' };
+const ROW_NAMES = { added: 'Added', removed: 'Removed' };
+
+// Outline compared with, and the file it came from
+let otherOutline = null;
+let otherPath = null;
+// Base outline when it is the saved file rather than the outline being edited
+let savedOutline = null;
+let diffRows = [];
+
+const getBaseSource = () => document.getElementById('compareBase').value;
+// Changes can only be applied when the outline being edited is the one compared
+const canApply = () => getBaseSource() === 'current';
+
+const setStatus = (msg, isError = false) => {
+  const el = document.getElementById('compareStatus');
+  el.textContent = msg;
+  el.style.color = isError ? '#dc3545' : 'var(--muted)';
+};
+
+// Errors from the main process arrive wrapped in "Error invoking remote method ..."
+const errorMessage = error => String(error?.message ?? error)
+  .replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+
+// Outline of a file, asking for a password when it needs one. Null when the user cancels.
+const readOutline = async (filePath, password) => {
+  let result = await ipcRenderer.invoke('extract-outline', { filePath, password });
+  let incorrect = Boolean(password);
+  while (result.passwordRequired) {
+    const value = await promptForPassword({ fileName: path.basename(filePath), incorrect });
+    if (value === null) return null;
+    result = await ipcRenderer.invoke('extract-outline', { filePath, password: value });
+    incorrect = true;
+  }
+  return result.outline;
+};
+
+const describeEntry = (item) => {
+  if (!item) return '';
+  const page = item.action ? 'link' : `p. ${(item.pageIndex ?? 0) + 1}`;
+  return `${item.title ?? 'Untitled'} · ${page}`;
+};
+
+const createEntryCell = (item) => {
+  const cell = document.createElement('td');
+  cell.className = 'compare-entry';
+  cell.textContent = describeEntry(item);
+  if (item) cell.style.paddingLeft = `${8 + (item.level ?? 0) * 14}px`;
+  return cell;
+};
+
+const renderRows = () => {
+  if (!otherOutline) return;
+  const body = document.getElementById('compareRows');
+  body.innerHTML = '';
+  const showSame = document.getElementById('compareShowSame').checked;
+
+  diffRows.forEach((row, index) => {
+    if (row.type === 'same' && !showSame) return;
+    const tr = document.createElement('tr');
+    tr.className = `compare-${row.type}`;
+
+    const change = document.createElement('td');
+    change.className = 'compare-change';
+    change.textContent = ROW_NAMES[row.type] ?? row.changes.map(name => CHANGE_NAMES[name]).join(', ');
+
+    const actionCell = document.createElement('td');
+    if (row.type !== 'same' && canApply()) {
+      const apply = document.createElement('button');
+      apply.textContent = 'Apply';
+      apply.title = 'Make the current outline match the other one for this entry';
+      apply.addEventListener('click', () => applyRows([index], 'Apply compared change'));
+      actionCell.appendChild(apply);
+    }
+
+    [createEntryCell(row.base), change, createEntryCell(row.other), actionCell].forEach(cell => tr.appendChild(cell));
+    body.appendChild(tr);
+  });
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  diffRows.forEach((row) => { if (counts[row.type] !== undefined) counts[row.type]++; });
+  const total = counts.added + counts.removed + counts.changed;
+  setStatus(total === 0
+    ? `The outlines match (${path.basename(otherPath)}).`
+    : `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed in ${path.basename(otherPath)}.`);
+  document.getElementById('compareApplyAll').disabled = total === 0 || !canApply();
+};
+
+const refreshDiff = () => {
+  if (!otherOutline) return;
+  diffRows = diffOutlines(canApply() ? state.outline : savedOutline, otherOutline);
+  renderRows();
+};
+
+// ===== Applying changes =====
+
+const findIndex = id => state.outline.findIndex(item => item.id === id);
+
+// Id in the current outline of the entry a row stands for: its counterpart, or the copy
+// made when an added entry was applied
+const currentIdOf = row => (row.other ? row.base?.id ?? row.appliedId : null);
+
+// Index in the current outline where the entry of a row of the other outline belongs:
+// before the entry of the next row that is in the current outline, or at the end
+const insertionIndex = (rowIndex, movingId = null) => {
+  for (const row of diffRows.slice(rowIndex + 1)) {
+    const id = currentIdOf(row);
+    const index = id && id !== movingId ? findIndex(id) : -1;
+    if (index !== -1) return index;
+  }
+  return state.outline.length;
+};
+
+// A new entry for this document from an entry of the other one; named destinations
+// and object references only mean something in the other file
+const copyEntry = ({ id, sourceRef, namedDest, ...item }) => ({ ...item, id: crypto.randomUUID(), namedDest: null });
+
+const applyRow = (row, rowIndex) => {
+  if (row.type === 'removed') {
+    const index = findIndex(row.base.id);
+    if (index !== -1) state.outline.splice(index, 1);
+    state.selectedIds.delete(row.base.id);
+    return;
+  }
+  if (row.type === 'added') {
+    const entry = copyEntry(row.other);
+    state.outline.splice(insertionIndex(rowIndex), 0, entry);
+    row.appliedId = entry.id;
+    return;
+  }
+
+  const item = state.outline[findIndex(row.base.id)];
+  if (!item) return;
+  if (row.changes.includes('renamed')) item.title = row.other.title;
+  if (row.changes.includes('level')) item.level = row.other.level;
+  if (row.changes.includes('page')) {
+    item.pageIndex = row.other.pageIndex;
+    item.dest = row.other.dest ?? null;
+    item.namedDest = null;
+  }
+  if (row.changes.includes('moved')) {
+    state.outline.splice(findIndex(item.id), 1);
+    state.outline.splice(insertionIndex(rowIndex, item.id), 0, item);
+  }
+};
+
+// Apply rows as one undo step. Rows are applied from the last one back, so each entry
+// lands before entries that already stand where the other outline has them.
+const applyRows = (indices, actionName) => {
+  if (indices.length === 0 || !canApply()) return;
+  saveHistory(actionName);
+  [...indices].sort((a, b) => b - a).forEach(index => applyRow(diffRows[index], index));
+  if (refreshCallback) refreshCallback();
+  refreshDiff();
+};
+
+const applyAll = () => {
+  const indices = diffRows.map((row, index) => (row.type === 'same' ? -1 : index)).filter(index => index >= 0);
+  applyRows(indices, 'Apply all compared changes');
+};
+
+// ===== Loading =====
+
+const compare = async (target) => {
+  const button = document.getElementById(target === 'backup' ? 'compareBackup' : 'compareOther');
+  button.disabled = true;
+  try {
+    let filePath = `${state.filePath}.backup`;
+    if (target === 'other') {
+      const result = await ipcRenderer.invoke('open-pdf-dialog');
+      if (!result) return;
+      filePath = result.filePath;
+    }
+
+    setStatus(`Reading ${path.basename(filePath)}...`);
+    // A backup has the password of the file it was copied from
+    const outline = await readOutline(filePath, target === 'backup' ? state.password ?? '' : '');
+    if (!outline) {
+      setStatus('');
+      return;
+    }
+    otherOutline = outline;
+    otherPath = filePath;
+    await loadBase();
+  } catch (error) {
+    setStatus(errorMessage(error), true);
+  } finally {
+    button.disabled = false;
+  }
+};
+
+// The saved file's outline is read again whenever it is chosen as the base
+const loadBase = async () => {
+  savedOutline = null;
+  if (!canApply()) {
+    savedOutline = await readOutline(state.filePath, state.password ?? '');
+    if (!savedOutline) {
+      document.getElementById('compareBase').value = 'current';
+    }
+  }
+  refreshDiff();
+};
+
+export const openCompareModal = () => {
+  if (!state.pdf) return;
+  otherOutline = null;
+  otherPath = null;
+  savedOutline = null;
+  diffRows = [];
+  document.getElementById('compareBase').value = 'current';
+  document.getElementById('compareRows').innerHTML = '';
+  document.getElementById('compareApplyAll').disabled = true;
+  document.getElementById('compareBackup').disabled = !state.filePath;
+  setStatus('Choose what to compare this document with.');
+  document.getElementById('compareModal').style.display = 'flex';
+};
+
+const closeCompareModal = () => {
+  document.getElementById('compareModal').style.display = 'none';
+  otherOutline = null;
+  savedOutline = null;
+  diffRows = [];
+};
+
+export const setupCompareModalHandlers = () => {
+  document.getElementById('compareBackup').addEventListener('click', () => compare('backup'));
+  document.getElementById('compareOther').addEventListener('click', () => compare('other'));
+  document.getElementById('compareBase').addEventListener('change', () => {
+    loadBase().catch(error => setStatus(errorMessage(error), true));
+  });
+  document.getElementById('compareShowSame').addEventListener('change', renderRows);
+  document.getElementById('compareApplyAll').addEventListener('click', applyAll);
+  document.getElementById('compareClose').addEventListener('click', closeCompareModal);
+  document.getElementById('compareModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeCompareModal();
+  });
+};
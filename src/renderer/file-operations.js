@@ -6,9 +6,16 @@ import { state, updateFileName, updateDirtyState, elements, setToolbarEnabled }
 import { updateUndoRedoButtons } from './history.js';
 import { refreshOutline } from './outline-renderer.js';
 import { ensurePdfJsLoaded, getPdfjsLib, renderPdf, setPageIndicators } from './pdf-viewer.js';
+import { promptForPassword } from './password-modal.js';
+import { refreshPageLabels } from './page-labels.js';
+import { showDocumentProblems } from './problems-panel.js';
+import { showProgress, hideProgress } from './progress.js';
 
 const { ipcRenderer } = require('electron');
 
+// Bytes read from disk at a time when opening a file
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
 // Show error dialog to user
 const showError = (title, message) => {
   console.error(`${title}: ${message}`);
@@ -16,28 +23,134 @@ const showError = (title, message) => {
   alert(`${title}\n\n${message}`);
 };
 
-// Load PDF data into the application
-export const loadPdfData = async ({ data, filePath, outline = [] }) => {
+// Briefly show what the last save did next to the file name
+let saveStatusTimer = null;
+const showSaveReport = (result) => {
+  const element = document.getElementById('saveStatus');
+  if (!element || !result) return;
+
+  const parts = [result.incremental ? 'Saved as incremental update' : 'Saved'];
+  if (result.reclaimedObjects > 0) {
+    parts.push(`${result.reclaimedObjects} unused outline object${result.reclaimedObjects === 1 ? '' : 's'} removed`);
+  }
+
+  element.textContent = parts.join(' · ');
+  element.classList.remove('faded');
+  if (saveStatusTimer) clearTimeout(saveStatusTimer);
+  saveStatusTimer = setTimeout(() => element.classList.add('faded'), 4000);
+};
+
+// Outline to save, with each entry's open state taken from the tree view
+const getOutlineForSave = () => state.outline.map((item) => ({
+  ...item,
+  open: !state.collapsedNodes.has(item.id)
+}));
+
+// Point items (and their copies in the history) at the entries just written,
+// so the next save again starts from those entries and keeps their extra keys
+const updateSourceRefs = (sourceRefs = {}) => {
+  const update = (item) => {
+    if (sourceRefs[item.id]) item.sourceRef = sourceRefs[item.id];
+  };
+  state.outline.forEach(update);
+  state.history.forEach(({ snapshot }) => snapshot.forEach(update));
+};
+
+// Open the document with pdf.js, asking for a password whenever it needs one.
+// Resolves to { pdf, password }, or null when the user cancels the prompt.
+const openPdfDocument = async (data, filePath) => {
+  const pdfjsLib = getPdfjsLib();
+  const loadingTask = pdfjsLib.getDocument({ data });
+  let password = null;
+  let cancelled = false;
+
+  loadingTask.onPassword = async (updatePassword, reason) => {
+    const fileName = filePath ? require('path').basename(filePath) : null;
+    const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+    const value = await promptForPassword({ fileName, incorrect });
+    if (value === null) {
+      cancelled = true;
+      loadingTask.destroy();
+      return;
+    }
+    password = value;
+    updatePassword(value);
+  };
+
+  try {
+    return { pdf: await loadingTask.promise, password };
+  } catch (error) {
+    if (cancelled) return null;
+    throw error;
+  }
+};
+
+// Read a file in chunks, showing how far it got, so a large file neither blocks
+// the window nor has to be copied over from the main process
+const readPdfBytes = async (filePath) => {
+  const { open } = require('fs/promises');
+  const file = await open(filePath, 'r');
+  try {
+    const { size } = await file.stat();
+    const data = new Uint8Array(size);
+    let offset = 0;
+    while (offset < size) {
+      const { bytesRead } = await file.read(data, offset, Math.min(READ_CHUNK_SIZE, size - offset), offset);
+      if (bytesRead === 0) break;
+      offset += bytesRead;
+      showProgress('Reading file', offset / size);
+    }
+    return offset === size ? data : data.subarray(0, offset);
+  } finally {
+    await file.close();
+  }
+};
+
+// Load PDF data into the application. outlineRequest resolves to the outline read by
+// the main process ({ outline, diagnostics, pageLabels, passwordRequired }); without
+// one the document opens with an empty outline.
+export const loadPdfData = async ({ data, filePath, outlineRequest = null }) => {
   try {
     await ensurePdfJsLoaded();
-    const pdfjsLib = getPdfjsLib();
-    
+
+    const opened = await openPdfDocument(data, filePath);
+    if (!opened) return;
+
+    let { outline = [], diagnostics = [], pageLabels = null, passwordRequired = false } = (await outlineRequest) ?? {};
+    // The main process could not read the outline without the password; read it again with it
+    if (passwordRequired && filePath) {
+      ({ outline, diagnostics, pageLabels } = await ipcRenderer.invoke('read-outline', { filePath, password: opened.password ?? '' }));
+    }
+
     state.filePath = filePath;
     state.pdfData = data;
-    state.pdf = await pdfjsLib.getDocument({ data }).promise;
+    state.pdf = opened.pdf;
+    state.documentPageLabelRanges = pageLabels;
+    state.pageLabelRanges = null;
+    refreshPageLabels();
+    state.password = opened.password;
     state.outline = outline.map((item) => ({
       id: item.id ?? crypto.randomUUID(),
       title: item.title ?? 'Untitled',
       pageIndex: item.pageIndex ?? 0,
-      level: item.level ?? 0
+      level: item.level ?? 0,
+      dest: item.dest ?? null,
+      namedDest: item.namedDest ?? null,
+      color: item.color ?? null,
+      style: item.style ?? null,
+      action: item.action ?? null,
+      sourceRef: item.sourceRef ?? null
     }));
     state.currentPage = 1;
-    state.history = [{ snapshot: JSON.parse(JSON.stringify(state.outline)), actionName: 'Open file' }];
+    state.history = [{ snapshot: JSON.parse(JSON.stringify(state.outline)), pageLabels: null, actionName: 'Open file' }];
     state.historyIndex = 0;
     state.savedHistoryIndex = 0;
     state.selectedIds.clear();
     state.lastSelectedId = null;
     state.collapsedNodes.clear();
+    outline.forEach((item, index) => {
+      if (item.open === false) state.collapsedNodes.add(state.outline[index].id);
+    });
     
     setPageIndicators();
     updateUndoRedoButtons();
@@ -47,6 +160,8 @@ export const loadPdfData = async ({ data, filePath, outline = [] }) => {
     
     // Refresh outline BEFORE rendering PDF pages so it shows immediately
     refreshOutline();
+    showDocumentProblems(diagnostics);
+    hideProgress();
     
     // Allow the browser to paint the outline before starting heavy PDF rendering
     await new Promise(resolve => requestAnimationFrame(resolve));
@@ -54,6 +169,24 @@ export const loadPdfData = async ({ data, filePath, outline = [] }) => {
     await renderPdf();
   } catch (error) {
     showError('Failed to load PDF', error.message);
+  } finally {
+    hideProgress();
+  }
+};
+
+// Open a PDF from disk. The main process parses the file for its outline (and keeps it
+// for the next save) while the pages are read here for pdf.js.
+export const openPdfFile = async (filePath) => {
+  const outlineRequest = ipcRenderer.invoke('read-outline', { filePath });
+  // A failure is reported when loadPdfData waits for the outline
+  outlineRequest.catch(() => {});
+
+  try {
+    const data = await readPdfBytes(filePath);
+    await loadPdfData({ data, filePath, outlineRequest });
+  } catch (error) {
+    hideProgress();
+    showError('Failed to open file', error.message);
   }
 };
 
@@ -63,9 +196,13 @@ export const handleFileDrop = async (event) => {
   const file = event.dataTransfer.files[0];
   if (!file) return;
   
+  if (file.path) {
+    await openPdfFile(file.path);
+    return;
+  }
+
   try {
-    const data = await file.arrayBuffer();
-    await loadPdfData({ data, filePath: file.path, outline: [] });
+    await loadPdfData({ data: await file.arrayBuffer(), filePath: null });
   } catch (error) {
     showError('Failed to open file', error.message);
   }
@@ -76,11 +213,7 @@ export const requestOpenPdf = async () => {
   try {
     const result = await ipcRenderer.invoke('open-pdf-dialog');
     if (!result) return;
-    await loadPdfData({
-      data: result.data,
-      filePath: result.filePath,
-      outline: result.outline
-    });
+    await openPdfFile(result.filePath);
   } catch (error) {
     showError('Failed to open PDF', error.message);
   }
@@ -91,16 +224,23 @@ export const requestSavePdf = async () => {
   if (!state.pdfData || !state.filePath) return;
   
   try {
-    await ipcRenderer.invoke('save-pdf', {
+    showProgress('Saving');
+    const result = await ipcRenderer.invoke('save-pdf', {
       sourcePath: state.filePath,
-      outline: state.outline
+      outline: getOutlineForSave(),
+      password: state.password,
+      pageLabels: state.pageLabelRanges
     });
     
+    showSaveReport(result);
+    updateSourceRefs(result.sourceRefs);
     state.savedHistoryIndex = state.historyIndex;
     updateDirtyState();
     updateFileName();
   } catch (error) {
     showError('Failed to save PDF', error.message);
+  } finally {
+    hideProgress();
   }
 };
 
@@ -109,12 +249,17 @@ export const requestSavePdfAs = async () => {
   if (!state.pdfData) return;
   
   try {
+    showProgress('Saving');
     const result = await ipcRenderer.invoke('save-pdf-as', {
       sourcePath: state.filePath,
-      outline: state.outline
+      outline: getOutlineForSave(),
+      password: state.password,
+      pageLabels: state.pageLabelRanges
     });
     
     if (result && result.filePath) {
+      showSaveReport(result);
+      updateSourceRefs(result.sourceRefs);
       state.filePath = result.filePath;
       state.savedHistoryIndex = state.historyIndex;
       updateDirtyState();
@@ -122,5 +267,7 @@ export const requestSavePdfAs = async () => {
     }
   } catch (error) {
     showError('Failed to save PDF', error.message);
+  } finally {
+    hideProgress();
   }
 };
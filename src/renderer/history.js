@@ -3,6 +3,7 @@
  */
 
 import { state, elements, updateDirtyState } from './state.js';
+import { refreshPageLabels } from './page-labels.js';
 
 const MAX_HISTORY = 10;
 
@@ -38,13 +39,14 @@ export const updateUndoRedoButtons = () => {
   }
 };
 
-// Save current outline state to history
+// Save current outline state (and edited page labels) to history
 export const saveHistory = (actionName = 'change') => {
   const snapshot = JSON.parse(JSON.stringify(state.outline));
+  const pageLabels = JSON.parse(JSON.stringify(state.pageLabelRanges));
   
   // Truncate any redo history
   state.history = state.history.slice(0, state.historyIndex + 1);
-  state.history.push({ snapshot, actionName });
+  state.history.push({ snapshot, pageLabels, actionName });
   state.historyIndex++;
   
   // Keep only MAX_HISTORY steps
@@ -59,11 +61,18 @@ export const saveHistory = (actionName = 'change') => {
   updateDirtyState();
 };
 
+// Put the outline and page labels of a history entry back in place
+const restoreEntry = ({ snapshot, pageLabels }) => {
+  state.outline = JSON.parse(JSON.stringify(snapshot));
+  state.pageLabelRanges = JSON.parse(JSON.stringify(pageLabels ?? null));
+  refreshPageLabels();
+};
+
 // Undo last action
 export const undo = () => {
   if (state.historyIndex > 0) {
     state.historyIndex--;
-    state.outline = JSON.parse(JSON.stringify(state.history[state.historyIndex].snapshot));
+    restoreEntry(state.history[state.historyIndex]);
     if (refreshCallback) refreshCallback();
     updateUndoRedoButtons();
     updateDirtyState();
@@ -74,7 +83,7 @@ export const undo = () => {
 export const redo = () => {
   if (state.historyIndex < state.history.length - 1) {
     state.historyIndex++;
-    state.outline = JSON.parse(JSON.stringify(state.history[state.historyIndex].snapshot));
+    restoreEntry(state.history[state.historyIndex]);
     if (refreshCallback) refreshCallback();
     updateUndoRedoButtons();
     updateDirtyState();
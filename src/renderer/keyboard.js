@@ -92,6 +92,26 @@ export const setupKeyboardShortcuts = (outlineActions) => {
       return;
     }
     
+    // Copy as indented text (as Markdown with Shift) and paste outline text, when the
+    // outline has the focus or selected entries and no text is selected elsewhere;
+    // otherwise the native copy and paste run
+    const handlesClipboard = elements.outlineList.contains(document.activeElement)
+      || (hasSelection() && window.getSelection().isCollapsed);
+    if (isMeta && event.key.toLowerCase() === 'c' && handlesClipboard) {
+      event.preventDefault();
+      if (isShift) {
+        outlineActions.copyMarkdown();
+      } else {
+        outlineActions.copy();
+      }
+      return;
+    }
+    if (isMeta && event.key.toLowerCase() === 'v' && handlesClipboard) {
+      event.preventDefault();
+      outlineActions.paste();
+      return;
+    }
+
     // Add title
     if (isMeta && (event.key === 't' || event.key === 'T')) {
       event.preventDefault();
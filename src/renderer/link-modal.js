@@ -0,0 +1,123 @@
+/**
+ * Link modal handling - web links (URI) and external PDF links (GoToR)
+ */
+
+import { state, hasSingleSelection, getFirstSelectedId } from './state.js';
+import { addOutlineItem, setLinkForSelected } from './outline-actions.js';
+
+const { ipcRenderer } = require('electron');
+
+// Link being edited: { type: 'URI' | 'GoToR', item: existing item or null when adding }
+let activeLink = null;
+
+const setModalMode = (type) => {
+  document.getElementById('linkModalTitle').textContent =
+    type === 'URI' ? 'Web Link' : 'Link to External PDF';
+  document.getElementById('linkUriGroup').style.display = type === 'URI' ? 'block' : 'none';
+  document.getElementById('linkFileGroup').style.display = type === 'GoToR' ? 'block' : 'none';
+};
+
+// Open the link modal to add a new link of the given type
+export const openLinkModal = (type) => {
+  if (!state.pdf) return;
+  activeLink = { type, item: null };
+
+  document.getElementById('linkTitleInput').value = type === 'URI' ? 'Web link' : 'External document';
+  document.getElementById('linkUriInput').value = 'https://';
+  document.getElementById('linkFileInput').value = '';
+  document.getElementById('linkPageInput').value = 1;
+  setModalMode(type);
+
+  document.getElementById('linkModal').style.display = 'flex';
+  document.getElementById('linkTitleInput').select();
+};
+
+// Open the link modal to edit the selected link item
+export const openLinkModalForSelected = () => {
+  if (!hasSingleSelection()) return;
+  const firstId = getFirstSelectedId();
+  const item = state.outline.find(entry => entry.id === firstId);
+  if (!item?.action) return;
+  activeLink = { type: item.action.type, item };
+
+  document.getElementById('linkTitleInput').value = item.title;
+  document.getElementById('linkUriInput').value = item.action.uri ?? '';
+  document.getElementById('linkFileInput').value = item.action.file ?? '';
+  document.getElementById('linkPageInput').value = (item.action.pageIndex ?? 0) + 1;
+  setModalMode(item.action.type);
+
+  document.getElementById('linkModal').style.display = 'flex';
+  document.getElementById('linkTitleInput').select();
+};
+
+export const closeLinkModal = () => {
+  document.getElementById('linkModal').style.display = 'none';
+  activeLink = null;
+};
+
+// Build the action descriptor from the modal fields
+const buildActionFromModal = () => {
+  if (activeLink.type === 'URI') {
+    const uri = document.getElementById('linkUriInput').value.trim();
+    return uri ? { type: 'URI', uri } : null;
+  }
+
+  const file = document.getElementById('linkFileInput').value.trim();
+  if (!file) return null;
+  const pageIndex = Math.max(0, (parseInt(document.getElementById('linkPageInput').value, 10) || 1) - 1);
+  const previous = activeLink.item?.action;
+
+  // Keep the original view and named destination while the target page is unchanged
+  const samePage = previous?.type === 'GoToR' && previous.pageIndex === pageIndex;
+  return {
+    ...(samePage ? previous : {}),
+    type: 'GoToR',
+    file,
+    pageIndex,
+    dest: samePage ? previous.dest : null,
+    namedDest: samePage ? previous.namedDest : null
+  };
+};
+
+export const confirmLinkModal = () => {
+  if (!activeLink) return;
+
+  const action = buildActionFromModal();
+  if (!action) {
+    alert(activeLink.type === 'URI' ? 'Please enter a URL.' : 'Please choose a PDF file.');
+    return;
+  }
+
+  const title = document.getElementById('linkTitleInput').value.trim();
+  if (activeLink.item) {
+    setLinkForSelected(title, action);
+  } else {
+    addOutlineItem({ asChild: false, title: title || 'Untitled', action });
+  }
+  closeLinkModal();
+};
+
+// Choose the linked PDF; the path is stored relative to the current document
+const browseLinkedPdf = async () => {
+  const result = await ipcRenderer.invoke('choose-link-pdf-dialog', { relativeTo: state.filePath });
+  if (!result) return;
+  document.getElementById('linkFileInput').value = result.filePath;
+};
+
+export const setupLinkModalHandlers = () => {
+  document.getElementById('linkModalCancel').addEventListener('click', closeLinkModal);
+  document.getElementById('linkModalOk').addEventListener('click', confirmLinkModal);
+  document.getElementById('linkFileBrowse').addEventListener('click', browseLinkedPdf);
+
+  document.getElementById('linkModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+      confirmLinkModal();
+    } else if (event.key === 'Escape') {
+      closeLinkModal();
+    }
+  });
+
+  document.getElementById('linkModal').addEventListener('click', (event) => {
+    if (event.target === event.currentTarget) closeLinkModal();
+  });
+};
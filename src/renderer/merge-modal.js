@@ -0,0 +1,156 @@
+/**
+ * Merge modal - combines several PDFs, in a chosen order, into one document whose
+ * outline has an entry per source with the source's own outline beneath it
+ */
+
+import { state } from './state.js';
+import { promptForPassword } from './password-modal.js';
+import { openPdfFile } from './file-operations.js';
+import { showProgress, hideProgress } from './progress.js';
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+
+let sourcePaths = [];
+// Passwords entered for encrypted sources, by path
+let passwords = {};
+let mergedPath = null;
+let merging = false;
+
+const setStatus = (msg, isError = false) => {
+  const el = document.getElementById('mergeStatus');
+  el.textContent = msg;
+  el.style.color = isError ? '#dc3545' : 'var(--muted)';
+};
+
+// Errors from the main process arrive wrapped in "Error invoking remote method ..."
+const errorMessage = error => String(error?.message ?? error)
+  .replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+
+const updateButtons = () => {
+  document.getElementById('mergeAdd').disabled = merging;
+  document.getElementById('mergeStart').disabled = merging || sourcePaths.length < 2;
+  document.getElementById('mergeOpen').style.display = mergedPath && !merging ? '' : 'none';
+};
+
+const moveSource = (index, delta) => {
+  const target = index + delta;
+  if (target < 0 || target >= sourcePaths.length) return;
+  [sourcePaths[index], sourcePaths[target]] = [sourcePaths[target], sourcePaths[index]];
+  renderSources();
+};
+
+const createButton = (text, title, onClick, disabled = false) => {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+const renderSources = () => {
+  const list = document.getElementById('mergeSources');
+  list.innerHTML = '';
+
+  sourcePaths.forEach((filePath, index) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'merge-source-name';
+    name.textContent = path.basename(filePath);
+    name.title = filePath;
+    item.appendChild(name);
+    item.appendChild(createButton('↑', 'Move up', () => moveSource(index, -1), merging || index === 0));
+    item.appendChild(createButton('↓', 'Move down', () => moveSource(index, 1), merging || index === sourcePaths.length - 1));
+    item.appendChild(createButton('✕', 'Remove', () => {
+      sourcePaths.splice(index, 1);
+      renderSources();
+    }, merging));
+    list.appendChild(item);
+  });
+
+  if (sourcePaths.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'merge-empty';
+    empty.textContent = 'Add the PDFs to merge, in the order they should appear.';
+    list.appendChild(empty);
+  }
+  updateButtons();
+};
+
+const addSources = async () => {
+  const result = await ipcRenderer.invoke('open-pdf-files-dialog');
+  if (!result) return;
+  sourcePaths.push(...result.filePaths.filter(filePath => !sourcePaths.includes(filePath)));
+  renderSources();
+};
+
+const merge = async () => {
+  if (merging || sourcePaths.length < 2) return;
+  const output = await ipcRenderer.invoke('save-pdf-dialog', { title: 'Save Merged PDF', defaultPath: 'merged.pdf' });
+  if (!output) return;
+
+  merging = true;
+  mergedPath = null;
+  renderSources();
+  setStatus(`Merging ${sourcePaths.length} files...`);
+  showProgress('Merging', 0);
+
+  try {
+    for (;;) {
+      const result = await ipcRenderer.invoke('merge-pdfs', { filePaths: sourcePaths, passwords, outputPath: output.filePath });
+      if (result.passwordRequired) {
+        const fileName = path.basename(result.passwordRequired);
+        const password = await promptForPassword({ fileName, incorrect: result.passwordRequired in passwords });
+        if (password === null) {
+          setStatus(`Merge cancelled: ${fileName} needs a password.`);
+          return;
+        }
+        passwords[result.passwordRequired] = password;
+        continue;
+      }
+
+      mergedPath = result.filePath;
+      setStatus(`Merged into ${path.basename(result.filePath)}: ${result.pageCount} pages, ${result.entries} outline entries.`);
+      return;
+    }
+  } catch (error) {
+    setStatus(`Merge failed: ${errorMessage(error)}`, true);
+  } finally {
+    merging = false;
+    hideProgress();
+    renderSources();
+  }
+};
+
+const openMerged = async () => {
+  if (!mergedPath) return;
+  if (state.dirty && !confirm('Discard the unsaved changes to the current document?')) return;
+  const filePath = mergedPath;
+  closeMergeModal();
+  await openPdfFile(filePath);
+};
+
+export const openMergeModal = () => {
+  sourcePaths = [];
+  passwords = {};
+  mergedPath = null;
+  setStatus('');
+  renderSources();
+  document.getElementById('mergeModal').style.display = 'flex';
+};
+
+const closeMergeModal = () => {
+  if (merging) return;
+  document.getElementById('mergeModal').style.display = 'none';
+};
+
+export const setupMergeModalHandlers = () => {
+  document.getElementById('mergeAdd').addEventListener('click', addSources);
+  document.getElementById('mergeStart').addEventListener('click', merge);
+  document.getElementById('mergeOpen').addEventListener('click', openMerged);
+  document.getElementById('mergeClose').addEventListener('click', closeMergeModal);
+  document.getElementById('mergeModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeMergeModal();
+  });
+};
@@ -18,11 +18,15 @@ export const setRefreshCallback = (callback) => {
   refreshCallback = callback;
 };
 
-// Add a new outline item
-export const addOutlineItem = ({ asChild }) => {
+// Add a new outline item (optionally a link with a non-GoTo action)
+export const addOutlineItem = ({ asChild, title = 'New Title', action = null }) => {
   if (!state.pdf) return;
 
-  saveHistory(asChild ? 'Add nested title' : 'Add title');
+  if (action) {
+    saveHistory(action.type === 'URI' ? 'Add web link' : 'Add external PDF link');
+  } else {
+    saveHistory(asChild ? 'Add nested title' : 'Add title');
+  }
   
   const firstId = getFirstSelectedId();
   const baseIndex = firstId ? state.outline.findIndex((item) => item.id === firstId) : -1;
@@ -32,10 +36,11 @@ export const addOutlineItem = ({ asChild }) => {
 
   const item = {
     id: crypto.randomUUID(),
-    title: 'New Title',
+    title,
     pageIndex: state.currentPage - 1,
     level
   };
+  if (action) item.action = action;
 
   state.outline.splice(insertIndex, 0, item);
   state.selectedIds.clear();
@@ -198,8 +203,53 @@ export const startRename = (elements) => {
   input.select();
 };
 
-// Set target page for selected item
-export const setPageForSelected = (pageNumber) => {
+// Set text color (#rrggbb, or null for default) of selected items
+export const setColorForSelected = (color) => {
+  const items = getSelectedItems();
+  if (items.length === 0) return;
+
+  saveHistory(color ? 'Set title color' : 'Clear title color');
+  items.forEach((item) => {
+    item.color = color;
+  });
+
+  if (refreshCallback) refreshCallback();
+};
+
+// Toggle a text style flag ('bold' or 'italic') on selected items
+export const toggleStyleForSelected = (flag) => {
+  const items = getSelectedItems();
+  if (items.length === 0) return;
+
+  // Turn the flag off only when every selected item already has it
+  const enable = !items.every(item => item.style?.[flag]);
+  saveHistory(flag === 'bold' ? 'Toggle bold' : 'Toggle italic');
+  items.forEach((item) => {
+    const style = { bold: false, italic: false, ...item.style, [flag]: enable };
+    item.style = style.bold || style.italic ? style : null;
+  });
+
+  if (refreshCallback) refreshCallback();
+};
+
+// Update title and action of the selected link item
+export const setLinkForSelected = (title, action) => {
+  if (!hasSingleSelection()) return;
+  const firstId = getFirstSelectedId();
+  const item = state.outline.find(entry => entry.id === firstId);
+  if (!item) return;
+
+  saveHistory('Edit link');
+  item.title = title || 'Untitled';
+  item.action = action;
+  delete item.namedDest;
+  delete item.unverified;
+  delete item.uncertain;
+  if (refreshCallback) refreshCallback();
+};
+
+// Set target page (and optionally the destination view) for selected item
+export const setPageForSelected = (pageNumber, dest = undefined) => {
   if (!hasSingleSelection()) return;
   const firstId = getFirstSelectedId();
   const item = state.outline.find(entry => entry.id === firstId);
@@ -209,6 +259,10 @@ export const setPageForSelected = (pageNumber) => {
   if (!isNaN(pageNumber) && pageNumber >= 1 && pageNumber <= maxPage) {
     saveHistory('Edit target page');
     item.pageIndex = pageNumber - 1;
+    if (dest !== undefined) item.dest = dest;
+    // The target no longer matches the original named destination or action
+    delete item.namedDest;
+    delete item.action;
     delete item.unverified;
     delete item.uncertain;
     if (refreshCallback) refreshCallback();
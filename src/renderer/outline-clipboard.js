@@ -0,0 +1,83 @@
+/**
+ * Outline clipboard - copies entries as indented text or Markdown and pastes outlines
+ * in any outline file format, so an outline can be edited in a text editor
+ */
+
+import { state, hasSelection, getSelectedItems, getFirstSelectedId } from './state.js';
+import { saveHistory } from './history.js';
+import { outlineFormatFor, parseOutline, serializeOutline } from '../shared/outline-file.js';
+
+const { clipboard } = require('electron');
+
+// Callback to refresh UI after a paste - set by main module
+let refreshCallback = null;
+export const setRefreshCallback = (callback) => {
+  refreshCallback = callback;
+};
+
+// Copy the selected entries (the whole outline without a selection), shifted so the
+// highest of them is at the top level. Links have no page and are left out.
+export const copyOutline = (format = 'text') => {
+  const items = (hasSelection() ? getSelectedItems() : state.outline).filter(item => !item.action);
+  if (items.length === 0) return;
+
+  const topLevel = Math.min(...items.map(item => item.level ?? 0));
+  clipboard.writeText(serializeOutline(items.map(item => ({
+    title: item.title,
+    pageIndex: item.pageIndex,
+    level: (item.level ?? 0) - topLevel
+  })), format));
+};
+
+// Paste an outline from the clipboard after the selected entry and its children (at the
+// end without a selection), with its top level at the level of the selected entry
+export const pasteOutline = () => {
+  if (!state.pdf) return;
+  const text = clipboard.readText();
+  if (!text.trim()) return;
+
+  let parsed;
+  try {
+    parsed = parseOutline(text, outlineFormatFor(null, text));
+  } catch (error) {
+    alert(`The clipboard does not hold an outline: ${error.message}`);
+    return;
+  }
+  if (parsed.length === 0) {
+    alert('The clipboard holds no outline entries.');
+    return;
+  }
+
+  const firstId = getFirstSelectedId();
+  const baseIndex = firstId ? state.outline.findIndex(item => item.id === firstId) : -1;
+  const baseLevel = baseIndex >= 0 ? state.outline[baseIndex].level : 0;
+  let insertIndex = state.outline.length;
+  if (baseIndex >= 0) {
+    insertIndex = baseIndex + 1;
+    while (insertIndex < state.outline.length && state.outline[insertIndex].level > baseLevel) insertIndex++;
+  }
+
+  saveHistory(parsed.length > 1 ? 'Paste titles' : 'Paste title');
+
+  const topLevel = Math.min(...parsed.map(item => item.level ?? 0));
+  const lastPage = state.pdf.numPages - 1;
+  let previousLevel = baseLevel - 1;
+  const items = parsed.map((item) => {
+    // No entry may be more than one level below the one before it
+    const level = Math.min(baseLevel + (item.level ?? 0) - topLevel, previousLevel + 1);
+    previousLevel = level;
+    return {
+      id: crypto.randomUUID(),
+      title: item.title ?? 'Untitled',
+      pageIndex: Math.min(Math.max(0, item.pageIndex ?? 0), lastPage),
+      level
+    };
+  });
+
+  state.outline.splice(insertIndex, 0, ...items);
+  state.selectedIds.clear();
+  items.forEach(item => state.selectedIds.add(item.id));
+  state.lastSelectedId = items[0].id;
+
+  if (refreshCallback) refreshCallback();
+};
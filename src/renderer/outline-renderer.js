@@ -10,6 +10,7 @@ import {
   hasSelection, 
   getSelectedItems 
 } from './state.js';
+import { formatPageNumber } from './page-labels.js';
 import { saveHistory } from './history.js';
 import { startRename } from './outline-actions.js';
 
@@ -24,14 +25,33 @@ export const setCallbacks = ({ scrollToPage, openContextMenu, openPageModal }) =
   openPageModalCallback = openPageModal;
 };
 
+// Icons marking outline items whose target is an action instead of a page
+const ACTION_ICONS = {
+  URI: '🔗',
+  GoToR: '📄',
+  Launch: '🚀',
+  Named: '⏭',
+  JavaScript: '⚙'
+};
+
+const describeAction = (action) => {
+  switch (action.type) {
+    case 'URI': return action.uri;
+    case 'GoToR': return `${action.file} (page ${(action.pageIndex ?? 0) + 1})`;
+    case 'Launch': return `Launch ${action.file}`;
+    case 'Named': return `${action.name} action`;
+    default: return `${action.type} action`;
+  }
+};
+
 // Update toolbar and context menu button states
 export const updateButtonStates = () => {
   if (!state.pdf) {
     const buttonIds = [
       'addTitle', 'addChild', 'renameTitle', 'setPage', 'deleteTitle',
       'indentTitle', 'outdentTitle', 'moveUp', 'moveDown', 'expandAll',
-      'collapseAll', 'undo', 'redo', 'importToc', 'prevPage', 'nextPage',
-      'fitWidth', 'zoomSlider', 'currentPageInput'
+      'collapseAll', 'undo', 'redo', 'importToc', 'editPageLabels', 'compareOutlines',
+      'splitByOutline', 'prevPage', 'nextPage', 'fitWidth', 'zoomSlider', 'currentPageInput'
     ];
     buttonIds.forEach((id) => {
       const control = document.getElementById(id);
@@ -65,8 +85,17 @@ export const updateButtonStates = () => {
     delete: any,
     indent: any,
     outdent: any,
+    setColor: any,
+    clearColor: any,
+    toggleBold: any,
+    toggleItalic: any,
     add: true,
-    addChild: true
+    addChild: true,
+    addWebLink: true,
+    addPdfLink: true,
+    copy: state.outline.length > 0,
+    copyMarkdown: state.outline.length > 0,
+    paste: true
   };
   
   Object.entries(contextActions).forEach(([action, enabled]) => {
@@ -146,8 +175,27 @@ export const refreshOutline = () => {
     title.className = 'outline-title' + (item.unverified ? ' unverified' : item.uncertain ? ' uncertain' : '');
     title.textContent = item.title;
     title.style.flex = '1';
+    if (item.color) title.style.color = item.color;
+    if (item.style?.bold) title.style.fontWeight = '600';
+    if (item.style?.italic) title.style.fontStyle = 'italic';
+
+    row.append(toggle);
+    if (item.action && ACTION_ICONS[item.action.type]) {
+      const icon = document.createElement('span');
+      icon.className = 'outline-link-icon';
+      icon.textContent = ACTION_ICONS[item.action.type];
+      icon.title = describeAction(item.action);
+      row.append(icon);
+    }
+    row.append(title);
 
-    row.append(toggle, title);
+    // Target page, by printed label when the document has one
+    if (!item.action) {
+      const page = document.createElement('span');
+      page.className = 'outline-page';
+      page.textContent = formatPageNumber(item.pageIndex + 1);
+      row.append(page);
+    }
     fragment.append(row);
 
     // Event handlers
@@ -0,0 +1,178 @@
+/**
+ * Page label modal handling - edits the page label ranges written to /PageLabels on save
+ */
+
+import { state } from './state.js';
+import { saveHistory } from './history.js';
+import { getPageLabelRanges, refreshPageLabels } from './page-labels.js';
+import { detectPrintedPageNumbers } from './toc-import.js';
+import {
+  PAGE_LABEL_STYLES,
+  computePageLabels,
+  normalizePageLabelRanges,
+  inferPageLabelRanges
+} from '../shared/page-labels.js';
+
+// Callback to refresh UI after the labels change - set by main module
+let refreshCallback = null;
+export const setRefreshCallback = (callback) => {
+  refreshCallback = callback;
+};
+
+// Ranges being edited, with 1-based start pages as shown in the table
+let draftRanges = [];
+// Page number detection in progress, cancelled when the modal closes
+let activeDetection = null;
+
+const getPageCount = () => state.pdf?.numPages ?? 0;
+
+// Ranges of the draft in the stored form (0-based start pages)
+const draftToRanges = () => draftRanges.map(range => ({
+  ...range,
+  startPage: range.startPage - 1,
+  style: range.style || null
+}));
+
+// First and last label of every range, e.g. "i – xii"
+const updatePreview = () => {
+  const pageCount = getPageCount();
+  const ranges = normalizePageLabelRanges(draftToRanges(), pageCount);
+  const labels = computePageLabels(ranges, pageCount);
+  const preview = document.getElementById('pageLabelsPreview');
+  preview.textContent = ranges.map((range, index) => {
+    const end = ranges[index + 1]?.startPage ?? pageCount;
+    const first = labels[range.startPage] || '(empty)';
+    const last = labels[end - 1] || '(empty)';
+    const pages = end - range.startPage > 1 ? `Pages ${range.startPage + 1}–${end}` : `Page ${range.startPage + 1}`;
+    return `${pages}: ${first}${end - range.startPage > 1 ? ` – ${last}` : ''}`;
+  }).join('\n') || 'Pages keep their physical numbers.';
+};
+
+const createInput = (type, value, onInput) => {
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = value;
+  input.addEventListener('input', () => {
+    onInput(input.value);
+    updatePreview();
+  });
+  return input;
+};
+
+const renderRows = () => {
+  const body = document.getElementById('pageLabelsRows');
+  body.innerHTML = '';
+
+  draftRanges.forEach((range, index) => {
+    const row = document.createElement('tr');
+
+    const startPage = createInput('number', range.startPage, (value) => { range.startPage = Number(value); });
+    startPage.min = 1;
+    startPage.max = getPageCount();
+
+    const style = document.createElement('select');
+    [['', 'None (prefix only)'], ...Object.entries(PAGE_LABEL_STYLES)].forEach(([value, text]) => {
+      style.add(new Option(text, value, false, value === (range.style ?? '')));
+    });
+    style.addEventListener('change', () => {
+      range.style = style.value;
+      updatePreview();
+    });
+
+    const prefix = createInput('text', range.prefix, (value) => { range.prefix = value; });
+    prefix.placeholder = 'e.g. A-';
+
+    const start = createInput('number', range.start, (value) => { range.start = Number(value); });
+    start.min = 1;
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove range';
+    remove.addEventListener('click', () => {
+      draftRanges.splice(index, 1);
+      renderRows();
+    });
+
+    [startPage, style, prefix, start, remove].forEach((control) => {
+      const cell = document.createElement('td');
+      cell.appendChild(control);
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  updatePreview();
+};
+
+export const openPageLabelsModal = () => {
+  if (!state.pdf) return;
+  draftRanges = getPageLabelRanges().map(range => ({ ...range, startPage: range.startPage + 1, style: range.style ?? '' }));
+  renderRows();
+  document.getElementById('pageLabelsModal').style.display = 'flex';
+};
+
+export const closePageLabelsModal = () => {
+  activeDetection?.abort();
+  document.getElementById('pageLabelsModal').style.display = 'none';
+  draftRanges = [];
+};
+
+// Propose ranges from the page numbers printed on the pages; they replace the
+// table for review and are only applied with OK
+const detectPageLabels = async () => {
+  if (!state.pdf || activeDetection) return;
+  const button = document.getElementById('pageLabelsDetect');
+  const preview = document.getElementById('pageLabelsPreview');
+  const controller = new AbortController();
+  activeDetection = controller;
+  button.disabled = true;
+
+  try {
+    const printed = await detectPrintedPageNumbers(state.pdf, controller.signal, (message) => {
+      preview.textContent = message.trim();
+    });
+    const ranges = inferPageLabelRanges(printed);
+    if (ranges.length === 0) {
+      preview.textContent = 'No printed page numbers found.';
+      return;
+    }
+    draftRanges = ranges.map(range => ({ ...range, startPage: range.startPage + 1, style: range.style ?? '' }));
+    renderRows();
+  } catch (error) {
+    if (error.name !== 'AbortError') preview.textContent = `Detection failed: ${error.message}`;
+  } finally {
+    if (activeDetection === controller) activeDetection = null;
+    button.disabled = false;
+  }
+};
+
+// A new range starts at the current page, or after the last range when one already starts there
+const addRange = () => {
+  const lastStart = Math.max(0, ...draftRanges.map(range => range.startPage));
+  const startPage = draftRanges.some(range => range.startPage === state.currentPage)
+    ? Math.min(lastStart + 1, getPageCount())
+    : state.currentPage;
+  draftRanges.push({ startPage, style: 'D', prefix: '', start: 1 });
+  renderRows();
+};
+
+export const confirmPageLabelsModal = () => {
+  const ranges = normalizePageLabelRanges(draftToRanges(), getPageCount());
+  closePageLabelsModal();
+  if (JSON.stringify(ranges) === JSON.stringify(getPageLabelRanges())) return;
+
+  saveHistory('Edit page labels');
+  state.pageLabelRanges = ranges;
+  refreshPageLabels();
+  if (refreshCallback) refreshCallback();
+};
+
+export const setupPageLabelsModalHandlers = () => {
+  document.getElementById('pageLabelsAdd').addEventListener('click', addRange);
+  document.getElementById('pageLabelsDetect').addEventListener('click', detectPageLabels);
+  document.getElementById('pageLabelsCancel').addEventListener('click', closePageLabelsModal);
+  document.getElementById('pageLabelsOk').addEventListener('click', confirmPageLabelsModal);
+  document.getElementById('pageLabelsModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closePageLabelsModal();
+  });
+};
@@ -0,0 +1,46 @@
+/**
+ * Page labels - the page names printed in the document (/PageLabels), shown
+ * next to physical page numbers and accepted wherever a page is typed
+ */
+
+import { state } from './state.js';
+import { computePageLabels } from '../shared/page-labels.js';
+
+// Ranges in effect: the edited ones, otherwise those read from the document
+export const getPageLabelRanges = () => state.pageLabelRanges ?? state.documentPageLabelRanges ?? [];
+
+// Recompute the label of every page from the ranges in effect; null when the
+// document has none worth showing
+export const refreshPageLabels = () => {
+  const labels = state.pdf ? computePageLabels(getPageLabelRanges(), state.pdf.numPages) : [];
+  // Labels that only repeat the physical numbers add nothing
+  state.pageLabels = labels.some((label, index) => label !== String(index + 1)) ? labels : null;
+};
+
+// Label of a 1-based physical page, or null when the document has none
+export const getPageLabel = (pageNumber) => state.pageLabels?.[pageNumber - 1] || null;
+
+// "xiv (14)" when the page has a label of its own, otherwise "14"
+export const formatPageNumber = (pageNumber) => {
+  const label = getPageLabel(pageNumber);
+  return label && label !== String(pageNumber) ? `${label} (${pageNumber})` : String(pageNumber);
+};
+
+// Physical page number for typed input: a page label such as "xiv" or "A-3" first,
+// then a plain physical number. Returns null when nothing matches.
+export const resolvePageInput = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const labels = state.pageLabels;
+  if (labels) {
+    let index = labels.indexOf(text);
+    if (index === -1) {
+      const lowered = text.toLowerCase();
+      index = labels.findIndex(label => label.toLowerCase() === lowered);
+    }
+    if (index !== -1) return index + 1;
+  }
+
+  return /^\d+$/.test(text) ? Number(text) : null;
+};
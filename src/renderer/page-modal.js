@@ -4,6 +4,49 @@
 
 import { state, hasSingleSelection, getFirstSelectedId } from './state.js';
 import { setPageForSelected } from './outline-actions.js';
+import { getCurrentViewRect } from './pdf-viewer.js';
+import { openLinkModalForSelected } from './link-modal.js';
+import { getPageLabel, formatPageNumber, resolvePageInput } from './page-labels.js';
+import { DEST_PARAMS } from '../shared/destinations.js';
+
+// Destination being edited; coordinates not shown in the modal are carried over
+let pendingDest = null;
+
+const updateTopVisibility = () => {
+  const type = document.getElementById('destTypeSelect').value;
+  const showTop = DEST_PARAMS[type]?.includes('top');
+  document.getElementById('destTopGroup').style.display = showTop ? 'flex' : 'none';
+};
+
+// Show which physical page the typed page number or label points to
+const updatePageHint = () => {
+  const hint = document.getElementById('pageInputHint');
+  const pageNumber = resolvePageInput(document.getElementById('pageInput').value);
+  const numPages = state.pdf?.numPages ?? 1;
+  if (pageNumber === null || pageNumber < 1 || pageNumber > numPages) {
+    hint.textContent = 'No such page';
+  } else {
+    hint.textContent = `Page ${formatPageNumber(pageNumber)} of ${numPages}`;
+  }
+};
+
+// Build the destination view from the modal fields
+const buildDestFromModal = () => {
+  let type = document.getElementById('destTypeSelect').value;
+  const topValue = parseFloat(document.getElementById('destTopInput').value);
+  const top = Number.isFinite(topValue) ? topValue : null;
+
+  // A rectangle view needs all four sides; without a captured view, fit the page instead
+  if (type === 'FitR' && ['left', 'bottom', 'right'].some(key => typeof pendingDest?.[key] !== 'number')) {
+    type = 'Fit';
+  }
+
+  const dest = { type };
+  (DEST_PARAMS[type] ?? []).forEach((key) => {
+    dest[key] = key === 'top' ? top : (pendingDest?.[key] ?? null);
+  });
+  return dest;
+};
 
 // Open the page number modal
 export const openPageModal = () => {
@@ -11,11 +54,22 @@ export const openPageModal = () => {
   const firstId = getFirstSelectedId();
   const item = state.outline.find(entry => entry.id === firstId);
   if (!item) return;
-  
+
+  // Web and external PDF links are edited in the link modal
+  if (item.action?.type === 'URI' || item.action?.type === 'GoToR') {
+    openLinkModalForSelected();
+    return;
+  }
+
+  pendingDest = { ...(item.dest ?? { type: 'XYZ' }) };
+
   const modal = document.getElementById('pageModal');
   const input = document.getElementById('pageInput');
-  input.value = item.pageIndex + 1;
-  input.max = state.pdf?.numPages ?? 1;
+  input.value = getPageLabel(item.pageIndex + 1) ?? item.pageIndex + 1;
+  updatePageHint();
+  document.getElementById('destTypeSelect').value = DEST_PARAMS[pendingDest.type] ? pendingDest.type : 'XYZ';
+  document.getElementById('destTopInput').value = pendingDest.top ?? '';
+  updateTopVisibility();
   modal.style.display = 'flex';
   input.focus();
   input.select();
@@ -24,15 +78,16 @@ export const openPageModal = () => {
 // Close the page number modal
 export const closePageModal = () => {
   document.getElementById('pageModal').style.display = 'none';
+  pendingDest = null;
 };
 
 // Confirm and apply the page number
 export const confirmPageModal = () => {
   if (!hasSingleSelection()) return;
-  
-  const input = document.getElementById('pageInput');
-  const pageNumber = parseInt(input.value, 10);
-  setPageForSelected(pageNumber);
+
+  const pageNumber = resolvePageInput(document.getElementById('pageInput').value);
+  if (pageNumber === null) return;
+  setPageForSelected(pageNumber, buildDestFromModal());
   closePageModal();
 };
 
@@ -40,24 +95,40 @@ export const confirmPageModal = () => {
 export const setCurrentPageInModal = () => {
   if (!hasSingleSelection()) return;
   const currentPage = state.currentPage;
-  setPageForSelected(currentPage);
+  setPageForSelected(currentPage, buildDestFromModal());
   closePageModal();
 };
 
+// Fill the page and coordinates from the region currently shown in the viewer
+export const captureViewInModal = async () => {
+  const rect = await getCurrentViewRect();
+  if (!rect || !pendingDest) return;
+
+  pendingDest = { ...pendingDest, left: rect.left, bottom: rect.bottom, right: rect.right, top: rect.top };
+  document.getElementById('pageInput').value = getPageLabel(rect.pageNumber) ?? rect.pageNumber;
+  updatePageHint();
+  document.getElementById('destTopInput').value = rect.top;
+};
+
 // Setup modal event handlers
 export const setupPageModalHandlers = () => {
   document.getElementById('pageModalCancel').addEventListener('click', closePageModal);
   document.getElementById('pageModalOk').addEventListener('click', confirmPageModal);
   document.getElementById('pageModalCurrent').addEventListener('click', setCurrentPageInModal);
-  
-  document.getElementById('pageInput').addEventListener('keydown', (event) => {
-    if (event.key === 'Enter') {
-      confirmPageModal();
-    } else if (event.key === 'Escape') {
-      closePageModal();
-    }
+  document.getElementById('pageModalCapture').addEventListener('click', captureViewInModal);
+  document.getElementById('destTypeSelect').addEventListener('change', updateTopVisibility);
+  document.getElementById('pageInput').addEventListener('input', updatePageHint);
+
+  ['pageInput', 'destTopInput'].forEach((id) => {
+    document.getElementById(id).addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        confirmPageModal();
+      } else if (event.key === 'Escape') {
+        closePageModal();
+      }
+    });
   });
-  
+
   document.getElementById('pageModal').addEventListener('click', (event) => {
     if (event.target === event.currentTarget) {
       closePageModal();
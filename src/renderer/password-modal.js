@@ -0,0 +1,44 @@
+/**
+ * Password modal handling - asks for the password of an encrypted PDF
+ */
+
+// Resolver of the pending prompt; called with the password or null when cancelled
+let pendingResolve = null;
+
+const finish = (value) => {
+  document.getElementById('passwordModal').style.display = 'none';
+  document.getElementById('passwordInput').value = '';
+  const resolve = pendingResolve;
+  pendingResolve = null;
+  if (resolve) resolve(value);
+};
+
+// Ask for a document password; resolves to null when the user cancels
+export const promptForPassword = ({ fileName = null, incorrect = false } = {}) => {
+  // Only one prompt at a time: a new request cancels the previous one
+  if (pendingResolve) finish(null);
+
+  document.getElementById('passwordModalMessage').textContent = incorrect
+    ? 'Incorrect password. Please try again.'
+    : `${fileName ? `"${fileName}"` : 'This PDF'} is password-protected.`;
+  document.getElementById('passwordModal').style.display = 'flex';
+  document.getElementById('passwordInput').focus();
+
+  return new Promise((resolve) => {
+    pendingResolve = resolve;
+  });
+};
+
+export const setupPasswordModalHandlers = () => {
+  const input = document.getElementById('passwordInput');
+  document.getElementById('passwordModalCancel').addEventListener('click', () => finish(null));
+  document.getElementById('passwordModalOk').addEventListener('click', () => finish(input.value));
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      finish(input.value);
+    } else if (event.key === 'Escape') {
+      finish(null);
+    }
+  });
+};
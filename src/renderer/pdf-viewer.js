@@ -3,6 +3,7 @@
  */
 
 import { state, elements } from './state.js';
+import { getPageLabel } from './page-labels.js';
 
 const path = require('path');
 const { pathToFileURL } = require('url');
@@ -260,9 +261,48 @@ const observePages = () => {
   activeObserver = observer;
 };
 
+// Get the region of the page at the top of the viewer, in PDF user space
+export const getCurrentViewRect = async () => {
+  if (!state.pdf) return null;
+
+  const viewerRect = elements.viewer.getBoundingClientRect();
+  const pageElements = Array.from(elements.viewer.querySelectorAll('.pdf-page'));
+  const wrapper = pageElements.find((element) => {
+    const rect = element.getBoundingClientRect();
+    return rect.top <= viewerRect.top && rect.bottom > viewerRect.top;
+  }) ?? elements.viewer.querySelector(`[data-page-number="${state.currentPage}"]`);
+  if (!wrapper) return null;
+
+  const pageNumber = Number(wrapper.dataset.pageNumber || state.currentPage);
+  const page = await state.pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: state.zoom });
+  const pageRect = (wrapper.querySelector('canvas') ?? wrapper).getBoundingClientRect();
+
+  const clamp = (value, max) => Math.max(0, Math.min(max, value));
+  const x1 = clamp(viewerRect.left - pageRect.left, viewport.width);
+  const y1 = clamp(viewerRect.top - pageRect.top, viewport.height);
+  const x2 = clamp(viewerRect.right - pageRect.left, viewport.width);
+  const y2 = clamp(viewerRect.bottom - pageRect.top, viewport.height);
+
+  const [ax, ay] = viewport.convertToPdfPoint(x1, y1);
+  const [bx, by] = viewport.convertToPdfPoint(x2, y2);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    pageNumber,
+    left: round(Math.min(ax, bx)),
+    bottom: round(Math.min(ay, by)),
+    right: round(Math.max(ax, bx)),
+    top: round(Math.max(ay, by))
+  };
+};
+
 // Update page indicators in toolbar
+// With page labels the input shows the label and the physical number follows it
 export const setPageIndicators = () => {
-  elements.currentPageInput.value = String(state.currentPage);
+  const label = getPageLabel(state.currentPage);
+  elements.currentPageInput.value = label ?? String(state.currentPage);
+  elements.currentPagePhysical.textContent = label ? `(${state.currentPage})` : '';
   elements.totalPages.textContent = state.pdf ? state.pdf.numPages : 1;
 };
 
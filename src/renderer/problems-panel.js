@@ -0,0 +1,33 @@
+/**
+ * Document problems panel - outline corruption found while opening a file
+ */
+
+// Show the problems reported for the opened document; hides the panel when there are none
+export const showDocumentProblems = (diagnostics = []) => {
+  const panel = document.getElementById('problemsPanel');
+  const list = document.getElementById('problemsList');
+  list.innerHTML = '';
+
+  if (diagnostics.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  diagnostics.forEach(({ code, message }) => {
+    const entry = document.createElement('li');
+    entry.className = 'problems-item';
+    entry.dataset.code = code;
+    entry.textContent = message;
+    list.appendChild(entry);
+  });
+
+  document.getElementById('problemsTitle').textContent =
+    `Document problems (${diagnostics.length})`;
+  panel.style.display = 'flex';
+};
+
+export const setupProblemsPanelHandlers = () => {
+  document.getElementById('problemsClose').addEventListener('click', () => {
+    document.getElementById('problemsPanel').style.display = 'none';
+  });
+};
@@ -0,0 +1,30 @@
+/**
+ * Progress indicator - shows long steps (reading, parsing, saving a file) next to the file name
+ */
+
+const { ipcRenderer } = require('electron');
+
+// Show a step with its completed fraction (0-1), or as indeterminate when the fraction is null
+export const showProgress = (label, fraction = null) => {
+  const container = document.getElementById('loadProgress');
+  if (!container) return;
+
+  container.querySelector('.progress-label').textContent = label;
+  const bar = container.querySelector('progress');
+  if (fraction === null) {
+    bar.removeAttribute('value');
+  } else {
+    bar.value = Math.min(1, Math.max(0, fraction));
+  }
+  container.hidden = false;
+};
+
+export const hideProgress = () => {
+  const container = document.getElementById('loadProgress');
+  if (container) container.hidden = true;
+};
+
+// Steps run by the main process report their progress over IPC
+export const setupProgressListener = () => {
+  ipcRenderer.on('progress', (_event, { label, fraction }) => showProgress(label, fraction));
+};
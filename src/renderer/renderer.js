@@ -8,14 +8,25 @@
  * - history.js: Undo/redo management
  * - outline-actions.js: Add, delete, move, adjust operations
  * - outline-renderer.js: Outline list rendering with drag/drop
+ * - outline-clipboard.js: Copying and pasting outlines as text
  * - pdf-viewer.js: PDF rendering and navigation
  * - file-operations.js: Load/save operations
+ * - progress.js: Progress of long file operations
  * - context-menu.js: Right-click menu handling
  * - page-modal.js: Page number input modal
+ * - link-modal.js: Web link and external PDF link modal
+ * - password-modal.js: Password prompt for encrypted PDFs
+ * - problems-panel.js: Outline problems found when opening a file
+ * - page-labels.js: Printed page labels and page input parsing
+ * - page-label-modal.js: Page label range editor
+ * - compare-modal.js: Outline differences with another PDF or the backup
+ * - split-modal.js: Splitting the document into one file per outline section
+ * - merge-modal.js: Merging PDFs with their outlines
+ * - batch-modal.js: Outline operations on a folder of PDFs
  * - keyboard.js: Keyboard shortcuts
  */
 
-import { state, elements, setToolbarEnabled } from './state.js';
+import { state, elements, setToolbarEnabled, getSelectedItems } from './state.js';
 import { setRefreshCallback as setHistoryRefresh, undo, redo } from './history.js';
 import { 
   setRefreshCallback as setActionsRefresh,
@@ -23,7 +34,9 @@ import {
   deleteOutlineItem, 
   adjustLevel, 
   moveItem, 
-  startRename 
+  startRename,
+  setColorForSelected,
+  toggleStyleForSelected
 } from './outline-actions.js';
 import { 
   setCallbacks as setOutlineCallbacks,
@@ -40,20 +53,53 @@ import {
   handleZoomChange 
 } from './pdf-viewer.js';
 import { 
-  loadPdfData, 
+  openPdfFile, 
   handleFileDrop, 
   requestOpenPdf, 
   requestSavePdf, 
   requestSavePdfAs 
 } from './file-operations.js';
+import {
+  setRefreshCallback as setClipboardRefresh,
+  copyOutline,
+  pasteOutline
+} from './outline-clipboard.js';
 import { openContextMenu, closeContextMenu, setupContextMenuHandlers } from './context-menu.js';
 import { openPageModal, setupPageModalHandlers } from './page-modal.js';
+import { openLinkModal, setupLinkModalHandlers } from './link-modal.js';
+import { setupPasswordModalHandlers } from './password-modal.js';
+import { setupProgressListener } from './progress.js';
+import { resolvePageInput } from './page-labels.js';
+import {
+  setRefreshCallback as setPageLabelsRefresh,
+  openPageLabelsModal,
+  setupPageLabelsModalHandlers
+} from './page-label-modal.js';
+import { setupProblemsPanelHandlers } from './problems-panel.js';
 import { setupKeyboardShortcuts } from './keyboard.js';
 import { openSettingsModal, setupSettingsModalHandlers } from './settings-modal.js';
+import { openSplitModal, setupSplitModalHandlers } from './split-modal.js';
+import { openMergeModal, setupMergeModalHandlers } from './merge-modal.js';
+import { openBatchModal, setupBatchModalHandlers } from './batch-modal.js';
+import {
+  setRefreshCallback as setCompareRefresh,
+  openCompareModal,
+  setupCompareModalHandlers
+} from './compare-modal.js';
 import { openTocImportModal, setupTocImportHandlers } from './toc-import.js';
 
 const { ipcRenderer } = require('electron');
 
+// Open the native color picker, starting from the first selected item's color
+const colorPicker = document.getElementById('outlineColorPicker');
+const openColorPicker = () => {
+  const [first] = getSelectedItems();
+  if (!first) return;
+  colorPicker.value = first.color ?? '#000000';
+  colorPicker.click();
+};
+colorPicker.addEventListener('change', () => setColorForSelected(colorPicker.value));
+
 // Action definitions for toolbar, context menu, and keyboard shortcuts
 const outlineActions = {
   add: () => addOutlineItem({ asChild: false }),
@@ -64,12 +110,29 @@ const outlineActions = {
   moveUp: () => moveItem(-1),
   moveDown: () => moveItem(1),
   rename: () => startRename(elements),
-  setPage: () => openPageModal()
+  setPage: () => openPageModal(),
+  addWebLink: () => openLinkModal('URI'),
+  addPdfLink: () => openLinkModal('GoToR'),
+  setColor: () => openColorPicker(),
+  clearColor: () => setColorForSelected(null),
+  toggleBold: () => toggleStyleForSelected('bold'),
+  toggleItalic: () => toggleStyleForSelected('italic'),
+  copy: () => copyOutline('text'),
+  copyMarkdown: () => copyOutline('markdown'),
+  paste: () => pasteOutline()
 };
 
 // Wire up refresh callbacks for modules that need to trigger UI updates
-setHistoryRefresh(refreshOutline);
+// (undo/redo and the label editor also change the page labels shown in the toolbar)
+const refreshOutlineAndPageLabels = () => {
+  refreshOutline();
+  setPageIndicators();
+};
+setHistoryRefresh(refreshOutlineAndPageLabels);
 setActionsRefresh(refreshOutline);
+setPageLabelsRefresh(refreshOutlineAndPageLabels);
+setCompareRefresh(refreshOutline);
+setClipboardRefresh(refreshOutline);
 setOutlineCallbacks({
   scrollToPage,
   openContextMenu,
@@ -83,7 +146,12 @@ document.getElementById('openPdf').addEventListener('click', requestOpenPdf);
 document.getElementById('savePdf').addEventListener('click', requestSavePdf);
 document.getElementById('savePdfAs').addEventListener('click', requestSavePdfAs);
 document.getElementById('openSettings').addEventListener('click', openSettingsModal);
+document.getElementById('openMerge').addEventListener('click', openMergeModal);
+document.getElementById('openBatch').addEventListener('click', openBatchModal);
 document.getElementById('importToc').addEventListener('click', openTocImportModal);
+document.getElementById('editPageLabels').addEventListener('click', openPageLabelsModal);
+document.getElementById('compareOutlines').addEventListener('click', openCompareModal);
+document.getElementById('splitByOutline').addEventListener('click', openSplitModal);
 
 // Outline manipulation
 document.getElementById('addTitle').addEventListener('click', outlineActions.add);
@@ -116,8 +184,9 @@ currentPageInput.addEventListener('keydown', (event) => {
   if (event.key !== 'Enter') return;
   if (!state.pdf) return;
 
-  const requestedPage = parseInt(currentPageInput.value, 10);
-  if (Number.isNaN(requestedPage)) {
+  // Accepts a page label ("xiv", "A-3") as well as a physical page number
+  const requestedPage = resolvePageInput(currentPageInput.value);
+  if (requestedPage === null) {
     setPageIndicators();
     return;
   }
@@ -185,15 +254,24 @@ document.addEventListener('mousemove', (event) => {
 
 setupContextMenuHandlers(outlineActions);
 setupPageModalHandlers();
+setupLinkModalHandlers();
+setupPasswordModalHandlers();
+setupPageLabelsModalHandlers();
+setupProblemsPanelHandlers();
 setupSettingsModalHandlers();
 setupTocImportHandlers();
+setupSplitModalHandlers();
+setupMergeModalHandlers();
+setupBatchModalHandlers();
+setupCompareModalHandlers();
+setupProgressListener();
 setupKeyboardShortcuts(outlineActions);
 
 // ===== IPC Handlers =====
 
 // Handle file opened from main process (CLI or drag on app icon)
-ipcRenderer.on('open-file', async (event, { data, filePath, outline }) => {
-  await loadPdfData({ data, filePath, outline });
+ipcRenderer.on('open-file', async (event, { filePath }) => {
+  await openPdfFile(filePath);
 });
 
 // Handle save before quit request from main process
@@ -1,5 +1,5 @@
 /**
- * Settings modal for LLM configuration
+ * Settings modal for LLM and save configuration
  */
 
 const { ipcRenderer } = require('electron');
@@ -17,6 +17,8 @@ export const openSettingsModal = async () => {
   document.getElementById('settingsOpenaiModel').value = settings.openaiModel;
   document.getElementById('settingsOllamaPort').value = settings.ollamaPort;
   document.getElementById('settingsOllamaModel').value = settings.ollamaModel;
+  document.getElementById('settingsPreserveNamedDests').checked = Boolean(settings.preserveNamedDests);
+  document.getElementById('settingsIncrementalSave').checked = Boolean(settings.incrementalSave);
 
   updateProviderVisibility(settings.llmProvider);
   modal.style.display = 'flex';
@@ -37,7 +39,9 @@ const saveSettingsFromModal = async () => {
     openaiApiKey: document.getElementById('settingsApiKey').value,
     openaiModel: document.getElementById('settingsOpenaiModel').value,
     ollamaPort: parseInt(document.getElementById('settingsOllamaPort').value, 10) || 11434,
-    ollamaModel: document.getElementById('settingsOllamaModel').value
+    ollamaModel: document.getElementById('settingsOllamaModel').value,
+    preserveNamedDests: document.getElementById('settingsPreserveNamedDests').checked,
+    incrementalSave: document.getElementById('settingsIncrementalSave').checked
   };
 
   await ipcRenderer.invoke('save-settings', settings);
@@ -0,0 +1,135 @@
+/**
+ * Split modal - writes one PDF per outline section at a chosen level, each file named
+ * from a template and carrying the outline of its section
+ */
+
+import { state } from './state.js';
+import { formatPageNumber } from './page-labels.js';
+import { showProgress, hideProgress } from './progress.js';
+import { computeSections, formatSectionFileNames } from '../shared/sections.js';
+
+const { ipcRenderer } = require('electron');
+
+const DEFAULT_TEMPLATE = '{n} {title}';
+
+let outputFolder = null;
+let splitting = false;
+
+const setStatus = (msg, isError = false) => {
+  const el = document.getElementById('splitStatus');
+  el.textContent = msg;
+  el.style.color = isError ? '#dc3545' : 'var(--muted)';
+};
+
+// Errors from the main process arrive wrapped in "Error invoking remote method ..."
+const errorMessage = error => String(error?.message ?? error)
+  .replace(/^Error invoking remote method '[^']+': (?:Error: )?/, '');
+
+// Sections at the chosen level, with the file name of each
+const getSections = () => {
+  const level = Number(document.getElementById('splitLevel').value);
+  const template = document.getElementById('splitTemplate').value.trim() || DEFAULT_TEMPLATE;
+  const sections = computeSections(state.outline, level, state.pdf.numPages);
+  const fileNames = formatSectionFileNames(sections, template);
+  return sections.map((section, index) => ({ ...section, fileName: fileNames[index] }));
+};
+
+const formatPages = ({ startPage, endPage }) => (endPage - startPage > 1
+  ? `pp. ${formatPageNumber(startPage + 1)}–${formatPageNumber(endPage)}`
+  : `p. ${formatPageNumber(startPage + 1)}`);
+
+const renderPreview = () => {
+  const body = document.getElementById('splitPreview');
+  body.innerHTML = '';
+  const sections = getSections();
+
+  sections.forEach((section) => {
+    const row = document.createElement('tr');
+    [section.fileName, formatPages(section), `${section.items.length}`].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  const skipped = sections.length > 0 ? sections[0].startPage : 0;
+  setStatus(sections.length === 0
+    ? 'No entries at this level.'
+    : `${sections.length} file${sections.length === 1 ? '' : 's'}${skipped > 0 ? `; the ${skipped} page${skipped === 1 ? '' : 's'} before the first section are left out` : ''}.`);
+  document.getElementById('splitStart').disabled = splitting || sections.length === 0;
+};
+
+const chooseOutputFolder = async () => {
+  const result = await ipcRenderer.invoke('open-folder-dialog', { title: 'Select Folder for the Sections' });
+  if (!result) return;
+  outputFolder = result.folderPath;
+  document.getElementById('splitOutputFolder').value = outputFolder;
+};
+
+const split = async () => {
+  if (splitting) return;
+  if (!outputFolder) {
+    setStatus('Choose the folder to write the files to.', true);
+    return;
+  }
+
+  const sections = getSections();
+  splitting = true;
+  document.getElementById('splitStart').disabled = true;
+  showProgress('Splitting', 0);
+  try {
+    const result = await ipcRenderer.invoke('split-pdf', {
+      sourcePath: state.filePath,
+      password: state.password,
+      sections,
+      outputFolder
+    });
+    if (result) setStatus(`Wrote ${result.files} file${result.files === 1 ? '' : 's'} to ${outputFolder}.`);
+  } catch (error) {
+    setStatus(`Split failed: ${errorMessage(error)}`, true);
+  } finally {
+    splitting = false;
+    hideProgress();
+    document.getElementById('splitStart').disabled = false;
+  }
+};
+
+export const openSplitModal = () => {
+  if (!state.pdf || !state.filePath) return;
+  if (state.outline.length === 0) {
+    alert('The document has no outline to split by.');
+    return;
+  }
+
+  // One choice per outline level in use, with the number of sections it gives
+  const levelSelect = document.getElementById('splitLevel');
+  levelSelect.innerHTML = '';
+  const maxLevel = Math.max(...state.outline.map(item => item.level ?? 0));
+  for (let level = 0; level <= maxLevel; level++) {
+    const count = computeSections(state.outline, level, state.pdf.numPages).length;
+    if (count > 0) levelSelect.add(new Option(`Level ${level + 1} (${count} section${count === 1 ? '' : 's'})`, String(level)));
+  }
+
+  if (!document.getElementById('splitTemplate').value.trim()) {
+    document.getElementById('splitTemplate').value = DEFAULT_TEMPLATE;
+  }
+  renderPreview();
+  document.getElementById('splitModal').style.display = 'flex';
+};
+
+const closeSplitModal = () => {
+  if (splitting) return;
+  document.getElementById('splitModal').style.display = 'none';
+};
+
+export const setupSplitModalHandlers = () => {
+  document.getElementById('splitLevel').addEventListener('change', renderPreview);
+  document.getElementById('splitTemplate').addEventListener('input', renderPreview);
+  document.getElementById('splitChooseOutput').addEventListener('click', chooseOutputFolder);
+  document.getElementById('splitStart').addEventListener('click', split);
+  document.getElementById('splitClose').addEventListener('click', closeSplitModal);
+  document.getElementById('splitModal').addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeSplitModal();
+  });
+};
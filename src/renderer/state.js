@@ -13,6 +13,10 @@ export const state = {
   currentPage: 1,
   zoom: 1.1,
   filePath: null,
+  pageLabels: null,        // Printed page labels by physical page (index 0 = page 1), or null
+  documentPageLabelRanges: null, // Page label ranges read from the file, or null
+  pageLabelRanges: null,   // Edited page label ranges, written on save; null keeps the file's
+  password: null,          // Password that opened an encrypted document, reused when saving
   history: [],
   historyIndex: -1,
   collapsedNodes: new Set(),
@@ -28,6 +32,7 @@ export const elements = {
   dropZone: document.getElementById('dropZone'),
   contextMenu: document.getElementById('contextMenu'),
   currentPageInput: document.getElementById('currentPageInput'),
+  currentPagePhysical: document.getElementById('currentPagePhysical'),
   totalPages: document.getElementById('totalPages'),
   undoBtn: document.getElementById('undo'),
   redoBtn: document.getElementById('redo'),
@@ -8,6 +8,11 @@ import { saveHistory } from './history.js';
 import { refreshOutline } from './outline-renderer.js';
 import { getSettings } from './settings-modal.js';
 import { ensurePdfJsLoaded, getPdfjsLib } from './pdf-viewer.js';
+import { formatPageNumber } from './page-labels.js';
+import { toRoman } from '../shared/page-labels.js';
+import { clusterHeadingStyles, buildHeadingEntries } from '../shared/heading-detection.js';
+import { collectMarkedContentText, findStructureHeadings } from '../shared/structure-headings.js';
+import { normalizeText, diceSimilarity } from '../shared/text-similarity.js';
 
 const { ipcRenderer } = require('electron');
 
@@ -15,6 +20,12 @@ let activeImport = null;
 let lastExtractedEntries = null;
 let logAutoScroll = true;
 let waitingDotsTimer = null;
+// Styled lines and the level chosen for each text style, between detecting headings
+// by typography and applying them
+let pendingTypography = null;
+
+// File names the formats are usually given, where they differ from "outline.<extension>"
+const DEFAULT_EXPORT_NAMES = { pdftk: 'bookmarks.txt', 'epub-nav': 'nav.xhtml', 'epub-ncx': 'toc.ncx' };
 
 // ===== Modal Management =====
 
@@ -38,6 +49,7 @@ export const openTocImportModal = () => {
   document.getElementById('tocPdfExtractMode').value = 'auto';
 
   document.querySelector('input[name="tocSource"][value="external-pdf"]').checked = true;
+  resetTypography();
   updatePageRangeVisibility();
 
   modal.style.display = 'flex';
@@ -113,7 +125,7 @@ const throwIfAborted = (signal) => {
 
 // ===== Page Range Parser =====
 
-const parsePageRange = (rangeStr, maxPage) => {
+export const parsePageRange = (rangeStr, maxPage) => {
   const pages = new Set();
   const parts = rangeStr.split(',').map(s => s.trim()).filter(Boolean);
   for (const part of parts) {
@@ -224,6 +236,23 @@ const extractPageNumberFromLines = (lines) => {
   return null;
 };
 
+/**
+ * Find a roman page number standing on its own line ("xiv", "- XIV -").
+ * Returns { number, style } with style 'r' or 'R' for its case, or null.
+ */
+const extractRomanNumberFromLines = (lines) => {
+  for (const line of lines) {
+    const match = String(line || '').trim().match(/^[\s—–\-|.·•*_~]*([ivxlcdm]+|[IVXLCDM]+)[\s—–\-|.·•*_~]*$/);
+    if (!match) continue;
+    const number = fromRoman(match[1]);
+    // Only well-formed numerals, so words like "did" or "DIM" are not taken for numbers
+    if (number && toRoman(number) === match[1].toUpperCase()) {
+      return { number, style: match[1] === match[1].toUpperCase() ? 'R' : 'r' };
+    }
+  }
+  return null;
+};
+
 /**
  * Score how many consecutive pages in a number sequence increment by exactly 1.
  * Higher score = more consistent = more likely to be actual page numbers.
@@ -238,13 +267,36 @@ const scoreConsistency = (nums) => {
   return score;
 };
 
+const BOLD_FONT_NAME = /bold|black|heavy|semibold|demi/i;
+
+// Text line of a page with the size and weight of its font (items: the line's text
+// items from left to right; commonObjs: the fonts pdf.js has loaded)
+const styledLine = (items, pageIndex, commonObjs) => {
+  // The longest run sets the style of the line
+  const main = items.reduce((best, item) => (item.str.length > best.str.length ? item : best));
+  const size = Math.hypot(main.transform[2], main.transform[3]) || main.height;
+  const font = commonObjs.has(main.fontName) ? commonObjs.get(main.fontName) : null;
+  return {
+    text: items.map(item => item.str).join('').replace(/\s+/g, ' ').trim(),
+    pageIndex,
+    top: main.transform[5] + size,
+    size,
+    bold: Boolean(font?.bold || font?.black || BOLD_FONT_NAME.test(font?.name ?? ''))
+  };
+};
+
 /**
  * Extract both full text and page-number candidates from every PDF page in a single pass.
- * Returns { pageTexts: string[], pageCandidates: { top: number|null, bottom: number|null }[] }
+ * Returns { pageTexts: string[], pageCandidates: { top, bottom, topRoman, bottomRoman }[] },
+ * where top/bottom are arabic numbers and topRoman/bottomRoman { number, style } objects (or null).
+ * With withStyles, also styledLines: the text lines of every page with the size and
+ * weight of their font, for heading detection ([{ text, pageIndex, top, size, bold }]
+ * in reading order).
  */
-const extractAllPageData = async (pdfDoc, signal = null, logFn = null) => {
+const extractAllPageData = async (pdfDoc, signal = null, logFn = null, { withStyles = false } = {}) => {
   const pageTexts = [];      // 0-indexed: pageTexts[0] = PDF page 1
   const pageCandidates = []; // 0-indexed: { top, bottom } for each page
+  const styledLines = [];
 
   for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
     throwIfAborted(signal);
@@ -261,36 +313,49 @@ const extractAllPageData = async (pdfDoc, signal = null, logFn = null) => {
     // Group text items into lines by Y coordinate for page-number detection
     const lineMap = new Map();
     for (const item of textContent.items) {
-      const text = String(item.str || '').trim();
-      if (!text) continue;
+      if (!String(item.str || '').trim()) continue;
       const y = Math.round((item.transform?.[5] || 0) / 3) * 3;
       if (!lineMap.has(y)) lineMap.set(y, []);
-      lineMap.get(y).push(text);
+      lineMap.get(y).push(item);
     }
 
     if (lineMap.size === 0) {
-      pageCandidates.push({ top: null, bottom: null });
+      pageCandidates.push({ top: null, bottom: null, topRoman: null, bottomRoman: null });
       continue;
     }
 
     // Sort Y values descending (top of page = high Y first)
     const sortedYs = Array.from(lineMap.keys()).sort((a, b) => b - a);
+    const lineText = y => lineMap.get(y).map(item => item.str.trim()).join(' ').trim();
 
     // Top area: first 2 lines (highest Y values)
-    const topLines = sortedYs.slice(0, 2)
-      .map(y => lineMap.get(y).join(' ').trim());
+    const topLines = sortedYs.slice(0, 2).map(lineText);
 
     // Bottom area: last 2 lines (lowest Y values), reversed so outermost is first
-    const bottomLines = [...sortedYs.slice(-2)].reverse()
-      .map(y => lineMap.get(y).join(' ').trim());
+    const bottomLines = [...sortedYs.slice(-2)].reverse().map(lineText);
 
     pageCandidates.push({
       top: extractPageNumberFromLines(topLines),
-      bottom: extractPageNumberFromLines(bottomLines)
+      bottom: extractPageNumberFromLines(bottomLines),
+      topRoman: extractRomanNumberFromLines(topLines),
+      bottomRoman: extractRomanNumberFromLines(bottomLines)
     });
+
+    if (withStyles) {
+      // Text content styles only name a generic font family; the weight is known once
+      // pdf.js has loaded the font, which the operator list does for fonts not loaded
+      // by an earlier page (or by rendering)
+      if (textContent.items.some(item => item.fontName && !page.commonObjs.has(item.fontName))) {
+        await page.getOperatorList();
+      }
+      sortedYs.forEach((y) => {
+        const items = lineMap.get(y).sort((a, b) => a.transform[4] - b.transform[4]);
+        styledLines.push(styledLine(items, pageNum - 1, page.commonObjs));
+      });
+    }
   }
 
-  return { pageTexts, pageCandidates };
+  return { pageTexts, pageCandidates, styledLines };
 };
 
 /**
@@ -330,6 +395,50 @@ const buildPageNumberMap = (pageCandidates, logFn = null) => {
   return { printedToPdf, pdfToPrinted, position };
 };
 
+/**
+ * Printed page number of every PDF page, for page label detection:
+ * { number, style: 'D' | 'r' | 'R' } or null where none was found.
+ * Arabic numbers come from the position chosen by buildPageNumberMap;
+ * roman numbers (front matter) are looked for at either position.
+ */
+export const detectPrintedPageNumbers = async (pdfDoc, signal = null, logFn = null) => {
+  const { pageCandidates } = await extractAllPageData(pdfDoc, signal, logFn);
+  throwIfAborted(signal);
+
+  const { pdfToPrinted, position } = buildPageNumberMap(pageCandidates, logFn);
+  const otherPosition = position === 'top' ? 'bottom' : 'top';
+  return pageCandidates.map((candidates, index) => (pdfToPrinted.has(index)
+    ? { number: pdfToPrinted.get(index), style: 'D' }
+    : candidates[`${position}Roman`] ?? candidates[`${otherPosition}Roman`]));
+};
+
+// ===== Document Structure (tagged PDFs) =====
+
+/**
+ * Read the headings of a tagged PDF from the structure tree of each page
+ * (see findStructureHeadings). Returns [{ title, pageIndex, level }] with 1-based
+ * levels in document order; empty when the file is not tagged.
+ */
+const extractStructureHeadings = async (pdfDoc, signal = null, logFn = null) => {
+  const headings = [];
+
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    throwIfAborted(signal);
+    if (logFn && (pageNum % 50 === 0 || pageNum === 1)) {
+      logFn(`  Reading structure of page ${pageNum}/${pdfDoc.numPages}...`);
+    }
+
+    const page = await pdfDoc.getPage(pageNum);
+    const tree = await page.getStructTree();
+    if (!tree) continue;
+    const { items } = await page.getTextContent({ includeMarkedContent: true });
+    headings.push(...findStructureHeadings(tree, collectMarkedContentText(items), pageNum - 1));
+  }
+
+  if (logFn) logFn(`[System] Found ${headings.length} headings in the document structure.`);
+  return headings;
+};
+
 // ===== Image Rendering (for image-based PDFs) =====
 
 const renderPagesToImages = async (pdfDoc, pageNumbers, signal = null) => {
@@ -623,41 +732,6 @@ const normalizeHierarchy = (entries) => {
 
 // ===== Page Matching =====
 
-const normalizeText = (text) => String(text || '')
-  .normalize('NFKD')
-  .replace(/[^a-zA-Z]/g, '')
-  .toLowerCase();
-
-const buildLetterBigrams = (text) => {
-  const cleaned = normalizeText(text);
-  if (cleaned.length < 2) return [];
-  const grams = [];
-  for (let i = 0; i < cleaned.length - 1; i++) {
-    grams.push(cleaned.slice(i, i + 2));
-  }
-  return grams;
-};
-
-const diceSimilarity = (left, right) => {
-  const a = buildLetterBigrams(left);
-  const b = buildLetterBigrams(right);
-  if (a.length === 0 || b.length === 0) return 0;
-
-  const counts = new Map();
-  a.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
-
-  let intersection = 0;
-  b.forEach((gram) => {
-    const current = counts.get(gram) || 0;
-    if (current > 0) {
-      intersection += 1;
-      counts.set(gram, current - 1);
-    }
-  });
-
-  return (2 * intersection) / (a.length + b.length);
-};
-
 const titleMatchesPage = (title, pageText) => {
   const normTitle = normalizeText(title);
   const normPage = normalizeText(pageText);
@@ -834,8 +908,253 @@ const matchEntriesAgainstPdf = (entries, pageTexts, printedToPdf, logFn) => {
   return results;
 };
 
+// ===== Import Pipeline =====
+
+// Content of the pages holding a TOC for the LLM: their text, or images of them when they
+// carry little text (scans) or vision is forced. Returns { text, images }, one of them null.
+const readTocPages = async (pdfDoc, pages, { extractionMode = 'auto', signal = null, logFn = () => {} } = {}) => {
+  const pageData = await extractTextFromPdf(pdfDoc, pages, signal);
+  throwIfAborted(signal);
+  const totalText = pageData.map(p => p.text).join(' ');
+
+  const shouldUseVision = extractionMode === 'vision' ||
+    (extractionMode === 'auto' && totalText.replace(/\s/g, '').length < pages.length * 50);
+
+  if (shouldUseVision) {
+    logFn('[System] Low text density detected; switching to vision extraction.');
+    return { text: null, images: await renderPagesToImages(pdfDoc, pages, signal) };
+  }
+
+  logFn(`[System] Extracted ${pageData.length} page(s) as text.`);
+  return { text: pageData.map(p => `--- Page ${p.pageNum} ---\n${p.text}`).join('\n\n'), images: null };
+};
+
+// Outline items for TOC entries, placed by matching their printed page numbers and
+// titles against pdfDoc; entries that could not be confirmed are flagged uncertain or unverified
+const matchEntriesToOutline = async (pdfDoc, entries, signal = null, logFn = () => {}) => {
+  logFn('[System] Scanning all PDF pages for page numbers and text...');
+  const { pageTexts, pageCandidates } = await extractAllPageData(pdfDoc, signal, logFn);
+  throwIfAborted(signal);
+
+  const { printedToPdf } = buildPageNumberMap(pageCandidates, logFn);
+
+  // Two-pass matching: page-number lookup then title search
+  const matchResults = matchEntriesAgainstPdf(entries, pageTexts, printedToPdf, logFn);
+
+  return entries.map((entry, i) => {
+    const result = matchResults[i];
+    const item = {
+      id: crypto.randomUUID(),
+      title: entry.title,
+      pageIndex: result.pageIndex,
+      level: entry.level - 1 // Convert from 1-based (LLM) to 0-based (internal)
+    };
+
+    if (result.confidence === 'uncertain') {
+      item.uncertain = true;
+    } else if (result.confidence === 'unverified') {
+      item.unverified = true;
+    }
+
+    return item;
+  });
+};
+
+/**
+ * Import the TOC printed on some pages of a document into an outline for that same
+ * document, without the dialog: the pages go to the LLM and the entries it returns are
+ * matched against the document. pages are 1-based page numbers. Resolves to outline
+ * items (empty when the LLM found no entries).
+ */
+export const importTocFromPages = async (pdfDoc, pages, { settings, extractionMode = 'auto', signal = null, logFn = () => {} }) => {
+  const content = await readTocPages(pdfDoc, pages, { extractionMode, signal, logFn });
+  throwIfAborted(signal);
+
+  const response = await callLLM(settings, content, { signal });
+  throwIfAborted(signal);
+
+  const entries = normalizeHierarchy(parseLLMResponse(response));
+  if (entries.length === 0) return [];
+  return matchEntriesToOutline(pdfDoc, entries, signal, logFn);
+};
+
 // ===== Main Import Flow =====
 
+// Replace the outline with imported items and report how many were verified
+const applyImportedOutline = (newOutline) => {
+  saveHistory('Import TOC');
+  state.outline = newOutline;
+  state.selectedIds.clear();
+  state.lastSelectedId = null;
+  refreshOutline();
+
+  const verifiedCount = newOutline.filter(i => !i.unverified && !i.uncertain).length;
+  const uncertainCount = newOutline.filter(i => i.uncertain).length;
+  const unverifiedCount = newOutline.filter(i => i.unverified).length;
+
+  let summary = `Imported ${newOutline.length} entries:`;
+  summary += ` ${verifiedCount} verified`;
+  if (uncertainCount > 0) summary += `, ${uncertainCount} uncertain (orange)`;
+  if (unverifiedCount > 0) summary += `, ${unverifiedCount} not found (red)`;
+  summary += '.';
+
+  setStatus(summary);
+  appendLogLine(`[System] ${summary}`);
+  appendLogLine('[System] Import finished. You can review this log and close the dialog when ready.');
+};
+
+// ===== Typography Levels =====
+
+const resetTypography = () => {
+  pendingTypography = null;
+  document.getElementById('typographyGroup').style.display = 'none';
+  document.getElementById('tocImportStart').textContent = 'Import';
+};
+
+// Entries the current style-to-level mapping would produce, shown below the styles
+const updateTypographyPreview = () => {
+  const entries = buildHeadingEntries(pendingTypography.lines, pendingTypography.levels);
+  const shown = entries.slice(0, 12).map(entry =>
+    `${'  '.repeat(entry.level - 1)}${entry.title} — p. ${formatPageNumber(entry.pageIndex + 1)}`);
+  if (entries.length > shown.length) shown.push(`… ${entries.length - shown.length} more`);
+  document.getElementById('typographyPreview').textContent =
+    `${entries.length} heading${entries.length === 1 ? '' : 's'}\n${shown.join('\n')}`;
+};
+
+// One row per text style: sample text, size and weight, and the level it maps to
+const renderTypographyStyles = () => {
+  const body = document.getElementById('typographyStyles');
+  body.innerHTML = '';
+
+  pendingTypography.clusters.forEach((cluster) => {
+    const row = document.createElement('tr');
+    const sample = document.createElement('td');
+    sample.textContent = cluster.samples.join(' · ');
+    sample.title = sample.textContent;
+    const style = document.createElement('td');
+    style.textContent = `${cluster.size} pt${cluster.bold ? ' bold' : ''} (${cluster.count}×)`;
+
+    const level = document.createElement('select');
+    level.add(new Option('Ignore', ''));
+    for (let value = 1; value <= 6; value++) {
+      level.add(new Option(`Level ${value}`, String(value), false, cluster.level === value));
+    }
+    level.addEventListener('change', () => {
+      pendingTypography.levels[cluster.key] = level.value ? Number(level.value) : null;
+      updateTypographyPreview();
+    });
+    const levelCell = document.createElement('td');
+    levelCell.appendChild(level);
+
+    row.append(sample, style, levelCell);
+    body.appendChild(row);
+  });
+
+  document.getElementById('typographyGroup').style.display = 'block';
+  updateTypographyPreview();
+};
+
+// Detect headings from font size and weight in two steps: the first run lists the
+// text styles with suggested levels for review, the second applies the mapping
+const importFromTypography = async (signal) => {
+  if (!pendingTypography) {
+    setStatus('Reading text styles...');
+    appendLogLine('[System] Reading font sizes and weights of the current PDF.');
+    const { styledLines: lines } = await extractAllPageData(state.pdf, signal, (msg) => appendLogLine(msg), { withStyles: true });
+    throwIfAborted(signal);
+
+    const clusters = clusterHeadingStyles(lines);
+    if (clusters.length === 0) {
+      setStatus('No text set larger or bolder than the body text was found.', true);
+      appendLogLine('[System] No heading styles found.');
+      return;
+    }
+
+    appendLogLine(`[System] Found ${clusters.length} text styles that may be headings.`);
+    pendingTypography = {
+      lines,
+      clusters,
+      levels: Object.fromEntries(clusters.map(cluster => [cluster.key, cluster.level]))
+    };
+    renderTypographyStyles();
+    document.getElementById('tocImportStart').textContent = 'Apply headings';
+    setStatus('Choose a level for each text style, then apply the headings.');
+    return;
+  }
+
+  const entries = buildHeadingEntries(pendingTypography.lines, pendingTypography.levels);
+  if (entries.length === 0) {
+    setStatus('No text style is mapped to a level.', true);
+    return;
+  }
+
+  // Pages and positions come from the text itself, so every entry is verified
+  applyImportedOutline(normalizeHierarchy(entries).map(entry => ({
+    id: crypto.randomUUID(),
+    title: entry.title,
+    pageIndex: entry.pageIndex,
+    level: entry.level - 1, // Convert from 1-based (heading levels) to 0-based (internal)
+    dest: entry.dest
+  })));
+  resetTypography();
+};
+
+// Build the outline from the headings of a tagged PDF: pages and levels come from
+// the structure tree itself, so every entry is verified and no LLM is needed
+const importFromStructure = async (signal) => {
+  setStatus('Reading document structure...');
+  appendLogLine('[System] Reading headings from the structure tree of the current PDF.');
+  const headings = await extractStructureHeadings(state.pdf, signal, (msg) => appendLogLine(msg));
+  throwIfAborted(signal);
+
+  if (headings.length === 0) {
+    setStatus('No tagged headings found. This PDF has no usable document structure.', true);
+    appendLogLine('[System] No H/H1–H6 elements in the structure tree.');
+    return;
+  }
+
+  applyImportedOutline(normalizeHierarchy(headings).map(heading => ({
+    id: crypto.randomUUID(),
+    title: heading.title,
+    pageIndex: heading.pageIndex,
+    level: heading.level - 1 // Convert from 1-based (heading levels) to 0-based (internal)
+  })));
+};
+
+// An outline file already has PDF pages, so its entries are applied as they are
+const importFromOutlineFile = async (signal) => {
+  const result = await ipcRenderer.invoke('open-outline-file-dialog', {
+    title: 'Select Outline File to Import',
+    pageLabels: state.pageLabels
+  });
+  if (!result) {
+    appendLogLine('[System] Outline file import cancelled by user before file selection.');
+    setStatus('');
+    return;
+  }
+
+  throwIfAborted(signal);
+  appendLogLine(`[System] Loaded ${result.items.length} entries (${result.format}) from ${result.filePath}.`);
+  result.diagnostics.forEach(({ message }) => appendLogLine(`[Warning] ${message}`));
+  if (result.items.length === 0) {
+    setStatus('The outline file has no entries.', true);
+    return;
+  }
+
+  const lastPage = state.pdf.numPages - 1;
+  applyImportedOutline(result.items.map(item => ({
+    ...item,
+    id: crypto.randomUUID(),
+    title: item.title ?? 'Untitled',
+    pageIndex: Math.min(Math.max(0, item.pageIndex ?? 0), lastPage),
+    level: Math.max(0, item.level ?? 0)
+  })));
+  if (result.diagnostics.length > 0) {
+    const count = result.diagnostics.length;
+    setStatus(`Imported ${result.items.length} entries; ${count} problem${count === 1 ? '' : 's'} in the file are listed in the log.`);
+  }
+};
+
 const startImport = async () => {
   const source = document.querySelector('input[name="tocSource"]:checked')?.value;
   if (!source) return;
@@ -851,6 +1170,19 @@ const startImport = async () => {
     appendLogLine('[System] TOC import started.');
     throwIfAborted(signal);
 
+    if (source === 'structure') {
+      await importFromStructure(signal);
+      return;
+    }
+    if (source === 'typography') {
+      await importFromTypography(signal);
+      return;
+    }
+    if (source === 'outline-file') {
+      await importFromOutlineFile(signal);
+      return;
+    }
+
     const settings = await getSettings();
     const providerOverride = document.getElementById('tocProviderOverride').value;
     const importSettings = {
@@ -897,21 +1229,9 @@ const startImport = async () => {
       }
 
       appendLogLine(`[System] Extracting text from current PDF pages: ${pages.join(', ')}.`);
-      const pageData = await extractTextFromPdf(state.pdf, pages, signal);
-      throwIfAborted(signal);
-      const totalText = pageData.map(p => p.text).join(' ');
-
-      const shouldUseVision = extractionMode === 'vision' ||
-        (extractionMode === 'auto' && totalText.replace(/\s/g, '').length < pages.length * 50);
-
-      if (shouldUseVision) {
-        setStatus('Pages appear to be image-based. Rendering images for vision...');
-        appendLogLine('[System] Low text density detected; switching to vision extraction.');
-        contentImages = await renderPagesToImages(state.pdf, pages, signal);
-      } else {
-        contentText = pageData.map(p => `--- Page ${p.pageNum} ---\n${p.text}`).join('\n\n');
-        appendLogLine(`[System] Extracted ${pageData.length} page(s) as text.`);
-      }
+      ({ text: contentText, images: contentImages } = await readTocPages(state.pdf, pages, {
+        extractionMode, signal, logFn: appendLogLine
+      }));
 
     } else if (!entries) {
       // Open file dialog for external file
@@ -937,22 +1257,10 @@ const startImport = async () => {
         const pdfjsLib = getPdfjsLib();
         const externalPdf = await pdfjsLib.getDocument({ data: result.data }).promise;
         appendLogLine(`[System] Loaded external PDF (${externalPdf.numPages} pages).`);
-        const pageData = await extractTextFromPdf(externalPdf, null, signal);
-        throwIfAborted(signal);
-        const totalText = pageData.map(p => p.text).join(' ');
-
-        const shouldUseVision = extractionMode === 'vision' ||
-          (extractionMode === 'auto' && totalText.replace(/\s/g, '').length < externalPdf.numPages * 50);
-
-        if (shouldUseVision) {
-          setStatus('PDF appears to be image-based. Rendering images for vision...');
-          appendLogLine('[System] Low text density detected; switching to vision extraction.');
-          const allPages = Array.from({ length: externalPdf.numPages }, (_, i) => i + 1);
-          contentImages = await renderPagesToImages(externalPdf, allPages, signal);
-        } else {
-          contentText = pageData.map(p => `--- Page ${p.pageNum} ---\n${p.text}`).join('\n\n');
-          appendLogLine(`[System] Extracted ${pageData.length} page(s) as text.`);
-        }
+        const allPages = Array.from({ length: externalPdf.numPages }, (_, i) => i + 1);
+        ({ text: contentText, images: contentImages } = await readTocPages(externalPdf, allPages, {
+          extractionMode, signal, logFn: appendLogLine
+        }));
       }
     }
 
@@ -1015,58 +1323,10 @@ const startImport = async () => {
     setStatus(`Matching ${entries.length} entries against current PDF...`);
     appendLogLine(`\n[System] Matching ${entries.length} entries against current PDF pages.`);
 
-    appendLogLine('[System] Scanning all PDF pages for page numbers and text...');
-    const { pageTexts, pageCandidates } = await extractAllPageData(
-      state.pdf, signal, (msg) => appendLogLine(msg)
-    );
-    throwIfAborted(signal);
-
-    const { printedToPdf } = buildPageNumberMap(pageCandidates, (msg) => appendLogLine(msg));
-
-    // Two-pass matching: page-number lookup then title search
-    const matchResults = matchEntriesAgainstPdf(
-      entries, pageTexts, printedToPdf, (msg) => appendLogLine(msg)
-    );
-
-    // Build outline items from match results
-    const newOutline = entries.map((entry, i) => {
-      const result = matchResults[i];
-      const item = {
-        id: crypto.randomUUID(),
-        title: entry.title,
-        pageIndex: result.pageIndex,
-        level: entry.level - 1 // Convert from 1-based (LLM) to 0-based (internal)
-      };
-
-      if (result.confidence === 'uncertain') {
-        item.uncertain = true;
-      } else if (result.confidence === 'unverified') {
-        item.unverified = true;
-      }
-
-      return item;
-    });
+    const newOutline = await matchEntriesToOutline(state.pdf, entries, signal, appendLogLine);
 
     // Step 5: Apply to outline
-    saveHistory('Import TOC');
-    state.outline = newOutline;
-    state.selectedIds.clear();
-    state.lastSelectedId = null;
-    refreshOutline();
-
-    const verifiedCount = newOutline.filter(i => !i.unverified && !i.uncertain).length;
-    const uncertainCount = newOutline.filter(i => i.uncertain).length;
-    const unverifiedCount = newOutline.filter(i => i.unverified).length;
-
-    let summary = `Imported ${newOutline.length} entries:`;
-    summary += ` ${verifiedCount} verified`;
-    if (uncertainCount > 0) summary += `, ${uncertainCount} uncertain (orange)`;
-    if (unverifiedCount > 0) summary += `, ${unverifiedCount} not found (red)`;
-    summary += '.';
-
-    setStatus(summary);
-    appendLogLine(`[System] ${summary}`);
-    appendLogLine('[System] Import finished. You can review this log and close the dialog when ready.');
+    applyImportedOutline(newOutline);
 
   } catch (err) {
     console.error('TOC import error:', err);
@@ -1095,7 +1355,10 @@ export const setupTocImportHandlers = () => {
   });
 
   document.querySelectorAll('input[name="tocSource"]').forEach(radio => {
-    radio.addEventListener('change', updatePageRangeVisibility);
+    radio.addEventListener('change', () => {
+      resetTypography();
+      updatePageRangeVisibility();
+    });
   });
 
   document.getElementById('tocImportClose').addEventListener('click', () => {
@@ -1122,6 +1385,35 @@ export const setupTocImportHandlers = () => {
     }
   });
 
+  document.getElementById('tocOutlineExport').addEventListener('click', async () => {
+    if (state.outline.length === 0) {
+      setStatus('The document has no outline to export.', true);
+      return;
+    }
+    const select = document.getElementById('tocOutlineExportFormat');
+    const format = select.value;
+    const label = select.selectedOptions[0].textContent;
+    try {
+      const result = await ipcRenderer.invoke('save-outline-file-dialog', {
+        format,
+        // Links have no page in these formats
+        items: state.outline
+          .filter(item => !item.action)
+          .map(({ title, pageIndex, level, dest, color, style }) => ({ title, pageIndex, level, dest, color, style })),
+        defaultPath: DEFAULT_EXPORT_NAMES[format],
+        pageLabels: state.pageLabels,
+        pageCount: state.pdf.numPages,
+        title: state.filePath?.split(/[\\/]/).pop().replace(/\.pdf$/i, '')
+      });
+      if (!result) return;
+      setStatus(`Exported ${label} to ${result.filePath}`);
+      appendLogLine(`[System] Exported ${label} to ${result.filePath}`);
+    } catch (error) {
+      setStatus(`Export failed: ${error.message}`, true);
+      appendLogLine(`[System] Export failed: ${error.message}`);
+    }
+  });
+
   document.getElementById('tocImportStart').addEventListener('click', startImport);
 
   document.getElementById('tocImportModal').addEventListener('click', (event) => {
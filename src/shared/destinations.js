@@ -0,0 +1,17 @@
+/**
+ * Destination views of outline entries, shared by the main process and the renderer.
+ */
+
+// Destination view types and the coordinates each one carries, in PDF array order
+export const DEST_PARAMS = {
+  XYZ: ['left', 'top', 'zoom'],
+  Fit: [],
+  FitH: ['top'],
+  FitV: ['left'],
+  FitR: ['left', 'bottom', 'right', 'top'],
+  FitB: [],
+  FitBH: ['top'],
+  FitBV: ['left']
+};
+
+export const DEFAULT_DEST = { type: 'XYZ', left: null, top: null, zoom: null };
@@ -0,0 +1,398 @@
+import crypto from 'node:crypto';
+import {
+  PDFDocument,
+  PDFParser,
+  PDFObjectStreamParser,
+  PDFXRefStreamParser,
+  PDFName,
+  PDFNumber,
+  PDFBool,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFRawStream,
+  PDFStream
+} from 'pdf-lib';
+
+// Padding string of the standard security handler (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = Buffer.from([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+const ENDOBJ = Array.from(Buffer.from('endobj'));
+
+const PASSWORD_REQUIRED = 'PASSWORD_REQUIRED';
+
+// Thrown when the document cannot be decrypted with the given password (empty by default)
+const passwordError = (message) => Object.assign(new Error(message), { code: PASSWORD_REQUIRED });
+
+export const isPasswordError = (error) => error?.code === PASSWORD_REQUIRED;
+
+const concat = (...parts) => Buffer.concat(parts.map(part => Buffer.from(part)));
+const hash = (algorithm, ...parts) => crypto.createHash(algorithm).update(concat(...parts)).digest();
+const xorBytes = (key, value) => key.map(byte => byte ^ value);
+
+const rc4 = (key, data) => {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return output;
+};
+
+const aesCipher = (key) => `aes-${key.length * 8}-cbc`;
+
+// AES data starts with its 16-byte initialization vector
+const aesDecrypt = (key, data) => {
+  if (data.length < 32 || data.length % 16 !== 0) return Buffer.alloc(0);
+  try {
+    const decipher = crypto.createDecipheriv(aesCipher(key), key, data.subarray(0, 16));
+    return concat(decipher.update(data.subarray(16)), decipher.final());
+  } catch {
+    return Buffer.from(data);
+  }
+};
+
+const aesEncrypt = (key, data) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(aesCipher(key), key, iv);
+  return concat(iv, cipher.update(data), cipher.final());
+};
+
+// Unpadded AES-256 with a zero IV, used to unwrap the file key of revision 5/6 handlers
+const unwrapKey = (key, data) => {
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.alloc(16));
+  decipher.setAutoPadding(false);
+  return concat(decipher.update(data), decipher.final());
+};
+
+// Revision 5 uses a single SHA-256; revision 6 the iterated hash of ISO 32000-2, algorithm 2.B
+const hashPasswordR6 = (revision, password, salt, userData) => {
+  let key = hash('sha256', password, salt, userData);
+  if (revision === 5) return key;
+
+  for (let round = 0; ; round++) {
+    const block = concat(password, key, userData);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    const encrypted = concat(cipher.update(Buffer.concat(new Array(64).fill(block))), cipher.final());
+
+    // The first 16 bytes taken as a number modulo 3 pick the next hash
+    const selector = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    key = hash(['sha256', 'sha384', 'sha512'][selector], encrypted);
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+  }
+  return key.subarray(0, 32);
+};
+
+const padPassword = (password) => {
+  const bytes = Buffer.from(password, 'latin1').subarray(0, 32);
+  return concat(bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length));
+};
+
+// File key for revisions 2-4 from a padded user password (ISO 32000-1, algorithm 2)
+const computeFileKey = (paddedPassword, params) => {
+  const { revision, keyLength, owner, permissions, fileId, encryptMetadata } = params;
+  const permissionBytes = Buffer.alloc(4);
+  permissionBytes.writeInt32LE(permissions);
+
+  let key = hash('md5', paddedPassword, owner, permissionBytes, fileId,
+    revision >= 4 && !encryptMetadata ? [0xff, 0xff, 0xff, 0xff] : []);
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) key = hash('md5', key.subarray(0, keyLength));
+  }
+  return key.subarray(0, revision === 2 ? 5 : keyLength);
+};
+
+const checkUserKey = (key, params) => {
+  const { revision, user, fileId } = params;
+  if (revision === 2) return rc4(key, PASSWORD_PADDING).equals(user.subarray(0, 32));
+
+  let value = rc4(key, hash('md5', PASSWORD_PADDING, fileId));
+  for (let i = 1; i <= 19; i++) value = rc4(xorBytes(key, i), value);
+  return value.subarray(0, 16).equals(user.subarray(0, 16));
+};
+
+const authenticateR4 = (password, params) => {
+  const { revision, keyLength, owner } = params;
+  const userKey = computeFileKey(padPassword(password), params);
+  if (checkUserKey(userKey, params)) return userKey;
+
+  // An owner password decrypts /O back to the padded user password
+  let ownerKey = hash('md5', padPassword(password));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) ownerKey = hash('md5', ownerKey);
+  }
+  ownerKey = ownerKey.subarray(0, revision === 2 ? 5 : keyLength);
+
+  let userPassword = owner.subarray(0, 32);
+  if (revision === 2) {
+    userPassword = rc4(ownerKey, userPassword);
+  } else {
+    for (let i = 19; i >= 0; i--) userPassword = rc4(xorBytes(ownerKey, i), userPassword);
+  }
+  const key = computeFileKey(userPassword, params);
+  return checkUserKey(key, params) ? key : null;
+};
+
+const authenticateR6 = (password, params) => {
+  const { revision, owner, user, ownerKey, userKey } = params;
+  const bytes = Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+
+  if (hashPasswordR6(revision, bytes, user.subarray(32, 40), []).equals(user.subarray(0, 32))) {
+    return unwrapKey(hashPasswordR6(revision, bytes, user.subarray(40, 48), []), userKey);
+  }
+  const userData = user.subarray(0, 48);
+  if (hashPasswordR6(revision, bytes, owner.subarray(32, 40), userData).equals(owner.subarray(0, 32))) {
+    return unwrapKey(hashPasswordR6(revision, bytes, owner.subarray(40, 48), userData), ownerKey);
+  }
+  return null;
+};
+
+const toBuffer = (value) => Buffer.from(value?.asBytes?.() ?? []);
+
+// Crypt method ('RC4', 'AES' or null for identity) named by a V4/V5 crypt filter
+const cryptFilterMethod = (context, encryptDict, filterKey) => {
+  const filterName = context.lookup(encryptDict.get(PDFName.of(filterKey)));
+  if (!(filterName instanceof PDFName) || filterName === PDFName.of('Identity')) return null;
+
+  const filters = context.lookup(encryptDict.get(PDFName.of('CF')));
+  const filter = filters instanceof PDFDict ? context.lookup(filters.get(filterName)) : null;
+  const cfm = filter instanceof PDFDict ? context.lookup(filter.get(PDFName.of('CFM'))) : null;
+  if (cfm === PDFName.of('V2')) return 'RC4';
+  if (cfm === PDFName.of('AESV2') || cfm === PDFName.of('AESV3')) return 'AES';
+  if (cfm === PDFName.of('None')) return null;
+  throw new Error(`Unsupported PDF crypt filter: ${cfm?.decodeText?.() ?? 'unknown'}`);
+};
+
+/**
+ * Standard security handler for a document's /Encrypt dictionary. Authenticates
+ * the user or owner password and decrypts or encrypts objects in place with the
+ * document's own key, so a saved copy keeps the original passwords and permissions.
+ */
+export const createSecurityHandler = (context, encryptValue, idValue, password = '') => {
+  const encryptDict = context.lookup(encryptValue);
+  const filter = context.lookup(encryptDict?.get(PDFName.of('Filter')));
+  if (filter !== PDFName.of('Standard')) {
+    throw new Error(`Unsupported PDF encryption: ${filter?.decodeText?.() ?? 'unknown handler'}`);
+  }
+
+  const numberOf = (key, fallback) => {
+    const value = context.lookup(encryptDict.get(PDFName.of(key)));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+  };
+  const version = numberOf('V', 0);
+  const revision = numberOf('R', 2);
+  const ids = context.lookup(idValue);
+  const encryptMetadataValue = context.lookup(encryptDict.get(PDFName.of('EncryptMetadata')));
+
+  const params = {
+    revision,
+    keyLength: numberOf('Length', 40) / 8,
+    owner: toBuffer(context.lookup(encryptDict.get(PDFName.of('O')))),
+    user: toBuffer(context.lookup(encryptDict.get(PDFName.of('U')))),
+    ownerKey: toBuffer(context.lookup(encryptDict.get(PDFName.of('OE')))),
+    userKey: toBuffer(context.lookup(encryptDict.get(PDFName.of('UE')))),
+    permissions: numberOf('P', -1) | 0,
+    fileId: ids instanceof PDFArray ? toBuffer(context.lookup(ids.get(0))) : Buffer.alloc(0),
+    encryptMetadata: !(encryptMetadataValue instanceof PDFBool) || encryptMetadataValue.asBoolean()
+  };
+
+  const fileKey = revision >= 5 ? authenticateR6(password, params) : authenticateR4(password, params);
+  if (!fileKey) {
+    throw passwordError(password ? 'Incorrect password for this PDF' : 'This PDF is password-protected');
+  }
+
+  const stringMethod = version >= 4 ? cryptFilterMethod(context, encryptDict, 'StrF') : 'RC4';
+  const streamMethod = version >= 4 ? cryptFilterMethod(context, encryptDict, 'StmF') : 'RC4';
+
+  // Revision 5/6 use the file key directly; older revisions derive one per object
+  const objectKey = (ref, method) => {
+    if (revision >= 5) return fileKey;
+    const { objectNumber: number, generationNumber: generation } = ref;
+    const key = hash('md5', fileKey,
+      [number & 0xff, (number >> 8) & 0xff, (number >> 16) & 0xff, generation & 0xff, (generation >> 8) & 0xff],
+      method === 'AES' ? Buffer.from('sAlT') : []);
+    return key.subarray(0, Math.min(fileKey.length + 5, 16));
+  };
+
+  const crypt = (method, ref, data, encrypt) => {
+    if (!method) return data;
+    const key = objectKey(ref, method);
+    if (method === 'RC4') return rc4(key, data);
+    return encrypt ? aesEncrypt(key, data) : aesDecrypt(key, data);
+  };
+
+  const transform = (object, ref, encrypt) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+      const bytes = crypt(stringMethod, ref, object.asBytes(), encrypt);
+      return PDFHexString.of(Buffer.from(bytes).toString('hex'));
+    }
+    if (object instanceof PDFArray) {
+      for (let i = 0; i < object.size(); i++) object.set(i, transform(object.get(i), ref, encrypt));
+      return object;
+    }
+    if (object instanceof PDFDict) {
+      // Signature values are never encrypted
+      const isSignature = object.has(PDFName.of('ByteRange'));
+      for (const [key, value] of object.entries()) {
+        if (isSignature && key === PDFName.of('Contents')) continue;
+        object.set(key, transform(value, ref, encrypt));
+      }
+      return object;
+    }
+    if (object instanceof PDFStream) {
+      transform(object.dict, ref, encrypt);
+      const type = object.dict.get(PDFName.of('Type'));
+      if (type === PDFName.of('XRef') || (type === PDFName.of('Metadata') && !params.encryptMetadata)) {
+        return object;
+      }
+      const contents = object instanceof PDFRawStream ? object.contents : object.getContents();
+      return PDFRawStream.of(object.dict, crypt(streamMethod, ref, contents, encrypt));
+    }
+    return object;
+  };
+
+  const isEncryptDict = (ref) => encryptValue === ref;
+
+  return {
+    decryptObject: (object, ref) => (isEncryptDict(ref) ? object : transform(object, ref, false)),
+
+    // Encrypt the given indirect objects (all of them by default) ahead of serialization
+    encryptObjects: (targetContext, refs = null) => {
+      const targets = refs
+        ? refs.map(ref => [ref, targetContext.lookup(ref)])
+        : targetContext.enumerateIndirectObjects();
+      targets.forEach(([ref, object]) => {
+        if (!object || isEncryptDict(ref)) return;
+        targetContext.assign(ref, transform(object, ref, true));
+      });
+    }
+  };
+};
+
+// Objects parsed between yields to the event loop (pdf-lib's ParseSpeeds.Slow)
+const OBJECTS_PER_TICK = 100;
+
+// /Type of a stream as parsed, null for any other object
+const streamType = object => (object instanceof PDFRawStream ? object.dict.lookup(PDFName.of('Type')) : null);
+
+// Parser that yields to the event loop as it goes and reports how far through the
+// file it is (0 to 1), so large files do not block the process that parses them
+class ProgressParser extends PDFParser {
+  constructor(bytes, onProgress = null) {
+    super(bytes, OBJECTS_PER_TICK);
+    this.onProgress = onProgress;
+    this.objectsSinceReport = 0;
+  }
+
+  async parseDocument() {
+    const context = await super.parseDocument();
+    if (this.onProgress) this.onProgress(1);
+    return context;
+  }
+
+  async parseIndirectObject() {
+    const ref = await super.parseIndirectObject();
+    this.reportProgress();
+    return ref;
+  }
+
+  reportProgress() {
+    if (!this.onProgress || ++this.objectsSinceReport < OBJECTS_PER_TICK) return;
+    this.objectsSinceReport = 0;
+    this.onProgress(this.bytes.offset() / this.bytes.length);
+  }
+}
+
+// Parser for files that may be encrypted. The encryption dictionary and file ID are
+// only known once the trailer is read, so objects are kept as parsed, in file order,
+// and decrypted afterwards by finishObjects. Object streams are unpacked only then,
+// since the objects inside are not encrypted again.
+class DeferredParser extends ProgressParser {
+  constructor(bytes, onProgress = null) {
+    super(bytes, onProgress);
+    this.deferredObjects = [];
+  }
+
+  async parseIndirectObject() {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    const object = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(ENDOBJ);
+
+    this.reportProgress();
+
+    if (streamType(object) === PDFName.of('XRef')) {
+      PDFXRefStreamParser.forStream(object).parseIntoContext();
+      return ref;
+    }
+
+    this.context.assign(ref, object);
+    this.deferredObjects.push([ref, object]);
+    return ref;
+  }
+
+  // Decrypt the parsed objects (security null leaves them as they are) and unpack the
+  // object streams, in file order so later revisions of an object still replace
+  // earlier ones
+  async finishObjects(security) {
+    const deferredObjects = this.deferredObjects;
+    this.deferredObjects = [];
+    for (const [ref, object] of deferredObjects) {
+      const plain = security ? security.decryptObject(object, ref) : object;
+      if (streamType(plain) === PDFName.of('ObjStm')) {
+        this.context.delete(ref);
+        await PDFObjectStreamParser.forStream(plain, this.shouldWaitForTick).parseIntoContext();
+      } else {
+        this.context.assign(ref, plain);
+      }
+    }
+    // The catalog may have been inside an object stream
+    this.maybeRecoverRoot();
+    return this.context;
+  }
+}
+
+const loadUnencrypted = async (bytes, updateMetadata, onProgress) => {
+  const context = await new ProgressParser(bytes, onProgress).parseDocument();
+  return { pdfDoc: new PDFDocument(context, false, updateMetadata), security: null };
+};
+
+/**
+ * Load a document, decrypting it first when it is encrypted. Returns the document
+ * and its security handler (null for unencrypted files); pass the handler's
+ * encryptObjects the context before saving to keep the file protected.
+ * onProgress is called with the fraction of the file parsed so far.
+ * Throws an error recognized by isPasswordError when the password is missing or wrong.
+ */
+export const loadPdfDocument = async (data, { password = '', updateMetadata = true, onProgress = null } = {}) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  // Cheap check first: an encrypted file always names /Encrypt in its trailer
+  if (Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).indexOf('/Encrypt') === -1) {
+    return loadUnencrypted(bytes, updateMetadata, onProgress);
+  }
+
+  const parser = new DeferredParser(bytes, onProgress);
+  const context = await parser.parseDocument();
+  const { Encrypt, ID } = context.trailerInfo;
+  const security = Encrypt ? createSecurityHandler(context, Encrypt, ID, password) : null;
+  await parser.finishObjects(security);
+  // Objects are now plain text; /Encrypt stays in the trailer for re-encryption on save
+  const pdfDoc = new PDFDocument(context, Boolean(security), updateMetadata);
+  return { pdfDoc, security };
+};
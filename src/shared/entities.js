@@ -0,0 +1,31 @@
+/**
+ * Character references as used by pdftk bookmark titles and XML (OPML, EPUB navigation)
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeEntities = text => text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos));/gi, (match, decimal, hex, name) => {
+  if (name) return NAMED_ENTITIES[name.toLowerCase()];
+  const codePoint = decimal ? Number(decimal) : parseInt(hex, 16);
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+});
+
+// Plain ASCII out, as pdftk's dump_data writes it
+export const encodeEntities = text => Array.from(text, (character) => {
+  switch (character) {
+    case '&': return '&amp;';
+    case '<': return '&lt;';
+    case '>': return '&gt;';
+    case '"': return '&quot;';
+    default: {
+      const codePoint = character.codePointAt(0);
+      return codePoint > 0x7e || codePoint < 0x20 ? `&#${codePoint};` : character;
+    }
+  }
+}).join('');
+
+// Text for XML content and attributes, written as UTF-8: markup characters escaped, and
+// the control characters XML 1.0 does not allow (not even as references) dropped
+export const escapeXml = text => text
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
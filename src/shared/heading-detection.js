@@ -0,0 +1,92 @@
+/**
+ * Heading detection from typography: text lines set larger or bolder than the body
+ * text are grouped by style, and each style can be mapped to an outline level.
+ *
+ * Input lines come from the text layer, in reading order:
+ *   { text, pageIndex, top (PDF user space), size (points), bold }
+ */
+
+// Longer lines are running text even when set in a heading style
+const MAX_HEADING_LENGTH = 150;
+// Styles are compared at half-point precision
+const roundSize = size => Math.round(size * 2) / 2;
+
+const styleKey = ({ size, bold }) => `${roundSize(size)}${bold ? 'b' : ''}`;
+
+/**
+ * Group the lines that may be headings by style. The body style is the one with the
+ * most text; styles larger than it, or as large but bold, become clusters ranked
+ * by size then weight: [{ key, size, bold, count, samples, level }], where level is
+ * the suggested 1-based outline level (the first three clusters) or null.
+ */
+export const clusterHeadingStyles = (lines) => {
+  const characters = new Map();
+  lines.forEach((line) => {
+    const key = styleKey(line);
+    characters.set(key, (characters.get(key) ?? 0) + line.text.length);
+  });
+  if (characters.size === 0) return [];
+
+  const bodyKey = Array.from(characters.entries()).reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+  const bodySize = parseFloat(bodyKey);
+  const bodyBold = bodyKey.endsWith('b');
+
+  const clusters = new Map();
+  lines.forEach((line) => {
+    const size = roundSize(line.size);
+    const isHeadingStyle = size > bodySize || (size === bodySize && line.bold && !bodyBold);
+    const text = line.text.trim();
+    if (!isHeadingStyle || !text || text.length > MAX_HEADING_LENGTH || /^\d+$/.test(text)) return;
+
+    const key = styleKey(line);
+    if (!clusters.has(key)) clusters.set(key, { key, size, bold: Boolean(line.bold), count: 0, samples: [] });
+    const cluster = clusters.get(key);
+    cluster.count++;
+    if (cluster.samples.length < 3) cluster.samples.push(text);
+  });
+
+  return Array.from(clusters.values())
+    .sort((a, b) => b.size - a.size || Number(b.bold) - Number(a.bold))
+    .map((cluster, index) => ({ ...cluster, level: index < 3 ? index + 1 : null }));
+};
+
+/**
+ * Outline entries for the lines whose style is mapped to a level
+ * (levels: cluster key → 1-based level or null). Consecutive lines of one heading
+ * are joined. Returns [{ title, pageIndex, level, dest }] in reading order,
+ * with an XYZ destination at the top of the heading.
+ */
+export const buildHeadingEntries = (lines, levels) => {
+  const entries = [];
+  let previous = null;
+
+  lines.forEach((line) => {
+    const key = styleKey(line);
+    const level = levels[key];
+    const text = line.text.trim();
+    if (!level || !text || text.length > MAX_HEADING_LENGTH || /^\d+$/.test(text)) {
+      previous = null;
+      return;
+    }
+
+    // A heading wrapped onto the next line: same style, same page, one line further down
+    const gap = previous ? previous.bottom - line.top : Infinity;
+    if (previous && previous.key === key && previous.pageIndex === line.pageIndex
+      && gap >= -line.size / 2 && gap < line.size) {
+      previous.entry.title = `${previous.entry.title} ${text}`;
+      previous.bottom = line.top - line.size;
+      return;
+    }
+
+    const entry = {
+      title: text,
+      pageIndex: line.pageIndex,
+      level,
+      dest: { type: 'XYZ', left: null, top: Math.round(line.top), zoom: null }
+    };
+    entries.push(entry);
+    previous = { key, pageIndex: line.pageIndex, bottom: line.top - line.size, entry };
+  });
+
+  return entries;
+};
@@ -0,0 +1,138 @@
+import { PDFName, PDFNumber } from 'pdf-lib';
+
+const encoder = new TextEncoder();
+
+// Locate the byte offset of the last cross-reference section (value after the final `startxref`)
+const findStartXref = (bytes) => {
+  const keyword = encoder.encode('startxref');
+  // The keyword sits near the end of the file; search backwards
+  for (let i = bytes.length - keyword.length; i >= 0; i--) {
+    let matches = true;
+    for (let j = 0; j < keyword.length; j++) {
+      if (bytes[i + j] !== keyword[j]) {
+        matches = false;
+        break;
+      }
+    }
+    if (!matches) continue;
+
+    const tail = new TextDecoder('latin1').decode(bytes.subarray(i + keyword.length, i + keyword.length + 32));
+    const match = tail.match(/^\s*(\d+)/);
+    if (match) return Number(match[1]);
+  }
+  throw new Error('Cannot append an incremental update: startxref not found');
+};
+
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+};
+
+// Group sorted entries into runs of consecutive object numbers (xref subsections)
+const buildXrefSection = (entries) => {
+  const lines = ['xref'];
+  let start = 0;
+  while (start < entries.length) {
+    let end = start;
+    while (end + 1 < entries.length && entries[end + 1].objectNumber === entries[end].objectNumber + 1) {
+      end++;
+    }
+    lines.push(`${entries[start].objectNumber} ${end - start + 1}`);
+    for (let i = start; i <= end; i++) {
+      const { offset, generation } = entries[i];
+      // Each entry is exactly 20 bytes including the two-character end of line
+      lines.push(`${String(offset).padStart(10, '0')} ${String(generation).padStart(5, '0')} n `);
+    }
+    start = end + 1;
+  }
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Append the given indirect objects from a loaded document to the original
+ * bytes as an incremental update section (objects, xref table, trailer).
+ * Everything before the update, including signed byte ranges, is left untouched.
+ */
+export const writeIncrementalUpdate = (originalData, context, refs) => {
+  const original = originalData instanceof Uint8Array ? originalData : new Uint8Array(originalData);
+  const prevXref = findStartXref(original);
+
+  const chunks = [original];
+  let offset = original.length;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  // Make sure the first object header starts on its own line
+  const lastByte = original[original.length - 1];
+  if (lastByte !== 0x0a && lastByte !== 0x0d) {
+    push(encoder.encode('\n'));
+  }
+
+  const uniqueRefs = Array.from(new Map(refs.map(ref => [ref.objectNumber, ref])).values())
+    .sort((a, b) => a.objectNumber - b.objectNumber);
+
+  const entries = [];
+  for (const ref of uniqueRefs) {
+    const object = context.lookup(ref);
+    if (!object) continue;
+    entries.push({ objectNumber: ref.objectNumber, generation: ref.generationNumber, offset });
+    push(encoder.encode(`${ref.objectNumber} ${ref.generationNumber} obj\n`));
+    push(serializeObject(object));
+    push(encoder.encode('\nendobj\n'));
+  }
+
+  const xrefOffset = offset;
+  push(encoder.encode(buildXrefSection(entries)));
+
+  const { Root, Info, ID, Encrypt } = context.trailerInfo;
+  const trailer = context.obj({
+    Size: PDFNumber.of(context.largestObjectNumber + 1),
+    Prev: PDFNumber.of(prevXref),
+    Root,
+    ...(Info ? { Info } : {}),
+    ...(ID ? { ID } : {}),
+    ...(Encrypt ? { Encrypt } : {})
+  });
+  push(encoder.encode('trailer\n'));
+  push(serializeObject(trailer));
+  push(encoder.encode(`\nstartxref\n${xrefOffset}\n%%EOF\n`));
+
+  const output = new Uint8Array(offset);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+};
+
+// Whether the document carries digital signatures that a full rewrite would invalidate
+export const hasSignatures = (pdfDoc) => {
+  const context = pdfDoc.context;
+  const acroForm = context.lookup(pdfDoc.catalog.get(PDFName.of('AcroForm')));
+  if (!acroForm?.get) return false;
+
+  // SigFlags bit 1: SignaturesExist
+  const sigFlags = context.lookup(acroForm.get(PDFName.of('SigFlags')));
+  if (sigFlags instanceof PDFNumber && (sigFlags.asNumber() & 1)) return true;
+
+  const fields = context.lookup(acroForm.get(PDFName.of('Fields')));
+  const pending = fields?.asArray ? [...fields.asArray()] : [];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const field = context.lookup(pending.pop());
+    if (!field?.get || visited.has(field)) continue;
+    visited.add(field);
+
+    const type = context.lookup(field.get(PDFName.of('FT')));
+    if (type === PDFName.of('Sig') && field.get(PDFName.of('V'))) return true;
+
+    const kids = context.lookup(field.get(PDFName.of('Kids')));
+    if (kids?.asArray) pending.push(...kids.asArray());
+  }
+
+  return false;
+};
@@ -0,0 +1,50 @@
+/**
+ * Merging PDFs: the pages of every source are appended to one new document, and each
+ * source becomes a top-level outline entry with its own outline nested beneath it.
+ */
+
+import { PDFDocument } from 'pdf-lib';
+import { loadPdfDocument } from './encryption.js';
+import { applyOutlineToPdf, extractOutline } from './outline.js';
+
+/**
+ * Merge sources, in order: [{ data, name, password }], where name (usually the file
+ * name) titles the source's entry when its metadata has no title. onProgress is called
+ * with the fraction of the sources merged so far.
+ * Resolves to { data, outline, pageCount } for the merged document.
+ * Throws an error recognized by isPasswordError, with the source's position as
+ * sourceIndex, when a source needs a password.
+ */
+export const mergePdfs = async (sources, { onProgress = null } = {}) => {
+  const merged = await PDFDocument.create();
+  const outline = [];
+
+  for (const [index, { data, name, password = '' }] of sources.entries()) {
+    let loaded;
+    try {
+      loaded = await loadPdfDocument(data, { password, updateMetadata: false });
+    } catch (error) {
+      error.sourceIndex = index;
+      throw error;
+    }
+    const { pdfDoc } = loaded;
+    const items = await extractOutline(data, { loaded });
+
+    const offset = merged.getPageCount();
+    const pages = await merged.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+
+    outline.push({ title: pdfDoc.getTitle()?.trim() || name, pageIndex: offset, level: 0 });
+    // Named destinations and object references belong to the source file
+    items.forEach(({ id, sourceRef, namedDest, ...item }) => {
+      outline.push({ ...item, pageIndex: (item.pageIndex ?? 0) + offset, level: (item.level ?? 0) + 1 });
+    });
+
+    if (onProgress) onProgress((index + 1) / sources.length);
+  }
+
+  const pageCount = merged.getPageCount();
+  // The new document has no bytes of its own yet, so it is always saved in full
+  const data = await applyOutlineToPdf(null, outline, { loaded: { pdfDoc: merged, security: null } });
+  return { data, outline, pageCount };
+};
@@ -0,0 +1,205 @@
+/**
+ * CSV outline format for spreadsheets: a header row, then one row per entry with its
+ * 1-based level, title, 1-based page, the page's printed label and the destination view.
+ *
+ *   level,title,page,page_label,dest_type
+ *   1,Introduction,3,i,XYZ
+ *   2,"Scope, Terms",4,ii,FitH
+ *
+ * When reading, columns are found by their header in any order (semicolons also separate
+ * fields), and without a header they are taken in the order above. A page label stands
+ * in for a missing page number when the document's labels are known; rows with neither
+ * point to the same page as the row before them. Rows that cannot be read are skipped
+ * and reported with their line instead of failing the file.
+ *
+ * Spreadsheets evaluate a field starting with =, +, - or @ as a formula, so a title like
+ * =HYPERLINK("...") would run when the file is opened. Such fields are written with a
+ * leading apostrophe, which spreadsheets show as plain text, and read back without it.
+ */
+
+import { DEST_PARAMS } from './destinations.js';
+
+const COLUMNS = ['level', 'title', 'page', 'page_label', 'dest_type'];
+// Header names as spreadsheet users tend to write them, without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  level: 'level',
+  title: 'title',
+  page: 'page',
+  pagelabel: 'page_label',
+  label: 'page_label',
+  desttype: 'dest_type',
+  destination: 'dest_type',
+  view: 'dest_type'
+};
+const DEST_TYPES = Object.keys(DEST_PARAMS);
+
+// First characters that make a spreadsheet read a field as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const quoteField = (value) => {
+  const raw = String(value ?? '');
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",;\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows of { title, pageIndex, level, dest } items. pageLabels, the label of every page
+ * (index 0 = page 1), fills the page_label column.
+ */
+export const formatOutlineCsv = (items, { pageLabels = null } = {}) => [
+  COLUMNS,
+  ...items.map(item => [
+    Math.max(0, item.level ?? 0) + 1,
+    item.title ?? 'Untitled',
+    Math.max(0, item.pageIndex ?? 0) + 1,
+    pageLabels?.[item.pageIndex ?? 0] ?? '',
+    item.dest?.type ?? ''
+  ])
+].map(row => row.map(quoteField).join(',')).join('\r\n') + '\r\n';
+
+// Semicolons when the first line has more of them than commas (spreadsheets in locales
+// with a decimal comma write those)
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g)?.length ?? 0) > (firstLine.match(/,/g)?.length ?? 0) ? ';' : ',';
+};
+
+// Split CSV text into rows of fields, with the line each row starts on; quoted fields
+// may hold delimiters, doubled quotes and line breaks
+const readRows = (text, delimiter) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim())) rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') line++;
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += character;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+// A field as written before it was guarded against formula evaluation
+const unguardField = text => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+const columnName = header => COLUMN_ALIASES[header.toLowerCase().replace(/[^a-z]/g, '')] ?? null;
+
+/**
+ * Parse CSV rows into flat { title, pageIndex, level, dest } items. pageLabels, the label
+ * of every page, lets rows name their page by label. Returns { items, diagnostics },
+ * where each diagnostic is { code, message, line } and code is one of 'bad-level',
+ * 'bad-page', 'bad-dest', 'missing-title' or 'level-jump'. Rows with a bad level or page
+ * are skipped; a bad destination falls back to the default view, and a level more than
+ * one below the row before it is raised, as the TOC import's normalizeHierarchy does.
+ */
+export const parseOutlineCsv = (text, { pageLabels = null } = {}) => {
+  const content = text.replace(/^\ufeff/, '');
+  const rows = readRows(content, detectDelimiter(content));
+  const items = [];
+  const diagnostics = [];
+  const report = (code, line, message) => diagnostics.push({ code, message: `Line ${line}: ${message}`, line });
+
+  let columns = COLUMNS;
+  const header = rows[0]?.fields.map(columnName);
+  if (header?.includes('title')) {
+    columns = header;
+    rows.shift();
+  }
+
+  let pageIndex = 0;
+  // Items with the line they came from, until their levels are checked
+  const read = [];
+  rows.forEach(({ line, fields }) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column && !(column in row)) row[column] = unguardField((fields[index] ?? '').trim());
+    });
+
+    let level = 0;
+    if (row.level) {
+      level = Number(row.level) - 1;
+      if (!Number.isInteger(level) || level < 0) {
+        report('bad-level', line, `level "${row.level}" is not a whole number from 1; the row is skipped`);
+        return;
+      }
+    }
+
+    if (row.page) {
+      const page = Number(row.page);
+      if (!Number.isInteger(page) || page < 1) {
+        report('bad-page', line, `page "${row.page}" is not a whole number from 1; the row is skipped`);
+        return;
+      }
+      pageIndex = page - 1;
+    } else if (row.page_label) {
+      const labelledPage = pageLabels?.indexOf(row.page_label) ?? -1;
+      if (labelledPage < 0) {
+        report('bad-page', line, `no page is labelled "${row.page_label}"; the row is skipped`);
+        return;
+      }
+      pageIndex = labelledPage;
+    }
+
+    if (!row.title) report('missing-title', line, 'the row has no title; it is read as "Untitled"');
+    const item = { title: row.title || 'Untitled', pageIndex, level };
+
+    if (row.dest_type) {
+      const type = DEST_TYPES.find(name => name.toLowerCase() === row.dest_type.toLowerCase());
+      if (type) {
+        item.dest = { type };
+      } else {
+        report('bad-dest', line, `unknown destination type "${row.dest_type}"; the default view is used`);
+      }
+    }
+    read.push({ item, line });
+  });
+
+  // The highest level becomes the top level, and no entry may be more than one level
+  // below the one before it
+  const topLevel = Math.min(...read.map(({ item }) => item.level));
+  let previousLevel = -1;
+  read.forEach(({ item, line }) => {
+    let level = item.level - topLevel;
+    if (level > previousLevel + 1) {
+      report('level-jump', line, `level ${item.level + 1} follows level ${previousLevel + topLevel + 1}; it is read as level ${previousLevel + topLevel + 2}`);
+      level = previousLevel + 1;
+    }
+    previousLevel = level;
+    items.push({ ...item, level });
+  });
+
+  diagnostics.sort((a, b) => a.line - b.line);
+  return { items, diagnostics };
+};
@@ -0,0 +1,125 @@
+/**
+ * Outline comparison: the entries of two outlines (flat item lists) are paired by title
+ * and laid out as the rows of a side-by-side view.
+ */
+
+import { diceSimilarity } from './text-similarity.js';
+
+// Titles at least this similar are taken for one entry that was renamed
+const RENAME_SIMILARITY = 0.6;
+
+const titleKey = item => String(item.title ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Map of base index → other index. Identical titles pair first, in order; the remaining
+// entries pair with the most similar remaining title, nearer positions winning ties.
+const pairEntries = (base, other) => {
+  const pairs = new Map();
+  const pairedOther = new Set();
+
+  const otherByTitle = new Map();
+  other.forEach((item, index) => {
+    const key = titleKey(item);
+    if (!otherByTitle.has(key)) otherByTitle.set(key, []);
+    otherByTitle.get(key).push(index);
+  });
+  base.forEach((item, index) => {
+    const match = otherByTitle.get(titleKey(item))?.shift();
+    if (match === undefined) return;
+    pairs.set(index, match);
+    pairedOther.add(match);
+  });
+
+  const candidates = [];
+  base.forEach((item, baseIndex) => {
+    if (pairs.has(baseIndex)) return;
+    other.forEach((otherItem, otherIndex) => {
+      if (pairedOther.has(otherIndex)) return;
+      const score = diceSimilarity(item.title, otherItem.title);
+      if (score >= RENAME_SIMILARITY) candidates.push({ baseIndex, otherIndex, score });
+    });
+  });
+  candidates
+    .sort((a, b) => b.score - a.score
+      || Math.abs(a.baseIndex - a.otherIndex) - Math.abs(b.baseIndex - b.otherIndex))
+    .forEach(({ baseIndex, otherIndex }) => {
+      if (pairs.has(baseIndex) || pairedOther.has(otherIndex)) return;
+      pairs.set(baseIndex, otherIndex);
+      pairedOther.add(otherIndex);
+    });
+
+  return pairs;
+};
+
+// Base indices of the pairs that keep their relative order: the longest increasing
+// run of other indices, taken in base order. The remaining pairs were moved.
+const findUnmovedPairs = (pairs) => {
+  const ordered = Array.from(pairs.entries()).sort((a, b) => a[0] - b[0]);
+  // tails[k]: position in ordered of the smallest other index ending a run of length k + 1
+  const tails = [];
+  const previous = new Array(ordered.length).fill(-1);
+  ordered.forEach(([, otherIndex], position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (ordered[tails[middle]][1] < otherIndex) low = middle + 1;
+      else high = middle;
+    }
+    if (low > 0) previous[position] = tails[low - 1];
+    tails[low] = position;
+  });
+
+  const unmoved = new Set();
+  for (let position = tails[tails.length - 1] ?? -1; position !== -1; position = previous[position]) {
+    unmoved.add(ordered[position][0]);
+  }
+  return unmoved;
+};
+
+const describeChanges = (baseItem, otherItem, moved) => {
+  const changes = [];
+  if ((baseItem.title ?? '') !== (otherItem.title ?? '')) changes.push('renamed');
+  if (moved) changes.push('moved');
+  if ((baseItem.level ?? 0) !== (otherItem.level ?? 0)) changes.push('level');
+  if ((baseItem.pageIndex ?? 0) !== (otherItem.pageIndex ?? 0)) changes.push('page');
+  return changes;
+};
+
+/**
+ * Compare an outline with another one, e.g. the next edition of the document.
+ * Returns rows in the order of the other outline, with the entries it lacks placed
+ * after the entry they followed in the base:
+ *   { type: 'same' | 'changed' | 'added' | 'removed', base, other, changes }
+ * base and other are the items (null on the side without the entry); changes lists
+ * 'renamed', 'moved', 'level' and 'page' for entries found in both.
+ */
+export const diffOutlines = (base, other) => {
+  const pairs = pairEntries(base, other);
+  const unmoved = findUnmovedPairs(pairs);
+  const baseByOther = new Map(Array.from(pairs.entries()).map(([baseIndex, otherIndex]) => [otherIndex, baseIndex]));
+
+  // Entries only in the base, grouped under the other index of the paired entry before them
+  const removedAfter = new Map();
+  let anchor = -1;
+  base.forEach((item, baseIndex) => {
+    if (pairs.has(baseIndex)) {
+      anchor = pairs.get(baseIndex);
+      return;
+    }
+    if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+    removedAfter.get(anchor).push({ type: 'removed', base: item, other: null, changes: [] });
+  });
+
+  const rows = [...(removedAfter.get(-1) ?? [])];
+  other.forEach((item, otherIndex) => {
+    const baseIndex = baseByOther.get(otherIndex);
+    if (baseIndex === undefined) {
+      rows.push({ type: 'added', base: null, other: item, changes: [] });
+    } else {
+      const changes = describeChanges(base[baseIndex], item, !unmoved.has(baseIndex));
+      rows.push({ type: changes.length > 0 ? 'changed' : 'same', base: base[baseIndex], other: item, changes });
+    }
+    rows.push(...(removedAfter.get(otherIndex) ?? []));
+  });
+  return rows;
+};
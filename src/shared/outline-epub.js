@@ -0,0 +1,161 @@
+/**
+ * EPUB outline export: the outline tree as an EPUB 3 navigation document (nav.xhtml)
+ * or an EPUB 2 NCX (toc.ncx), each with a page list when the page count is known.
+ *
+ * Entries point into the book through an href template in which {n} is the 1-based
+ * page number, "page-{n}.xhtml" by default (one content document per PDF page). Page
+ * list entries carry the page's printed label. Links to web pages or other files have
+ * no page and are left out. Export only: nothing reads these formats back.
+ */
+
+import { buildOutlineTree } from './outline-tree.js';
+import { escapeXml } from './entities.js';
+
+export const DEFAULT_HREF_TEMPLATE = 'page-{n}.xhtml';
+
+const INDENT = '  ';
+
+const pageHref = (pageIndex, hrefTemplate) => hrefTemplate.replace(/\{n\}/g, String(pageIndex + 1));
+
+// Titles on one line, as navigation labels are shown
+const labelText = title => escapeXml(title ?? '').replace(/\s+/g, ' ').trim() || 'Untitled';
+
+const buildTree = items => buildOutlineTree(items.filter(item => !item.action).map(item => ({
+  ...item,
+  pageIndex: Math.max(0, item.pageIndex ?? 0)
+})));
+
+const treeDepth = nodes => nodes.reduce((depth, node) => Math.max(depth, 1 + treeDepth(node.children)), 0);
+
+// Page list entries: every page with its label (the page number when it has none)
+const listPages = (pageCount, pageLabels) => Array.from({ length: pageCount }, (_, pageIndex) => ({
+  pageIndex,
+  label: pageLabels?.[pageIndex] || String(pageIndex + 1)
+}));
+
+/**
+ * Options:
+ * - title: title of the book
+ * - pageCount: pages of the document; adds the page list when given
+ * - pageLabels: label of every page (index 0 = page 1) for the page list
+ * - hrefTemplate: content document of a page, with {n} for its number
+ */
+export const formatEpubNav = (items, { title = 'Outline', pageCount = 0, pageLabels = null, hrefTemplate = DEFAULT_HREF_TEMPLATE } = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html>',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+    `${INDENT}<head>`,
+    `${INDENT.repeat(2)}<meta charset="utf-8"/>`,
+    `${INDENT.repeat(2)}<title>${labelText(title)}</title>`,
+    `${INDENT}</head>`,
+    `${INDENT}<body>`,
+    `${INDENT.repeat(2)}<nav epub:type="toc" id="toc">`,
+    `${INDENT.repeat(3)}<h1>Contents</h1>`
+  ];
+
+  const writeList = (nodes, depth) => {
+    lines.push(`${INDENT.repeat(depth)}<ol>`);
+    nodes.forEach((node) => {
+      const link = `<a href="${escapeXml(pageHref(node.pageIndex, hrefTemplate))}">${labelText(node.title)}</a>`;
+      if (node.children.length === 0) {
+        lines.push(`${INDENT.repeat(depth + 1)}<li>${link}</li>`);
+        return;
+      }
+      lines.push(`${INDENT.repeat(depth + 1)}<li>${link}`);
+      writeList(node.children, depth + 2);
+      lines.push(`${INDENT.repeat(depth + 1)}</li>`);
+    });
+    lines.push(`${INDENT.repeat(depth)}</ol>`);
+  };
+
+  const tree = buildTree(items);
+  // A navigation list may not be empty
+  if (tree.length > 0) writeList(tree, 3);
+  lines.push(`${INDENT.repeat(2)}</nav>`);
+
+  if (pageCount > 0) {
+    lines.push(`${INDENT.repeat(2)}<nav epub:type="page-list" id="page-list" hidden="">`, `${INDENT.repeat(3)}<ol>`);
+    listPages(pageCount, pageLabels).forEach(({ pageIndex, label }) => {
+      lines.push(`${INDENT.repeat(4)}<li><a href="${escapeXml(pageHref(pageIndex, hrefTemplate))}">${labelText(label)}</a></li>`);
+    });
+    lines.push(`${INDENT.repeat(3)}</ol>`, `${INDENT.repeat(2)}</nav>`);
+  }
+
+  lines.push(`${INDENT}</body>`, '</html>');
+  return `${lines.join('\n')}\n`;
+};
+
+// NCX page target type of a label: arabic numbers are normal pages, roman ones front matter
+const pageTargetType = label => (/^\d+$/.test(label) ? 'normal' : /^[ivxlcdm]+$/i.test(label) ? 'front' : 'special');
+
+/**
+ * Options as for formatEpubNav, and identifier: the book's unique identifier (dtb:uid),
+ * which must match the one in the package document.
+ */
+export const formatEpubNcx = (items, {
+  title = 'Outline',
+  identifier = '',
+  pageCount = 0,
+  pageLabels = null,
+  hrefTemplate = DEFAULT_HREF_TEMPLATE
+} = {}) => {
+  const tree = buildTree(items);
+  const pages = pageCount > 0 ? listPages(pageCount, pageLabels) : [];
+  const numbers = pages.map(({ label }) => label).filter(label => /^\d+$/.test(label)).map(Number);
+
+  // Play order follows the book: targets on the same page share one, as they point to
+  // the same content document
+  const targetPages = new Set(pages.map(({ pageIndex }) => pageIndex));
+  const collectPages = nodes => nodes.forEach((node) => {
+    targetPages.add(node.pageIndex);
+    collectPages(node.children);
+  });
+  collectPages(tree);
+  const playOrders = new Map([...targetPages].sort((a, b) => a - b).map((pageIndex, index) => [pageIndex, index + 1]));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+    `${INDENT}<head>`,
+    `${INDENT.repeat(2)}<meta name="dtb:uid" content="${escapeXml(identifier)}"/>`,
+    `${INDENT.repeat(2)}<meta name="dtb:depth" content="${Math.max(1, treeDepth(tree))}"/>`,
+    `${INDENT.repeat(2)}<meta name="dtb:totalPageCount" content="${pages.length}"/>`,
+    `${INDENT.repeat(2)}<meta name="dtb:maxPageNumber" content="${Math.max(0, ...numbers)}"/>`,
+    `${INDENT}</head>`,
+    `${INDENT}<docTitle><text>${labelText(title)}</text></docTitle>`,
+    `${INDENT}<navMap>`
+  ];
+
+  let navPointCount = 0;
+  const writeNavPoints = (nodes, depth) => nodes.forEach((node) => {
+    navPointCount++;
+    lines.push(
+      `${INDENT.repeat(depth)}<navPoint id="navpoint-${navPointCount}" playOrder="${playOrders.get(node.pageIndex)}">`,
+      `${INDENT.repeat(depth + 1)}<navLabel><text>${labelText(node.title)}</text></navLabel>`,
+      `${INDENT.repeat(depth + 1)}<content src="${escapeXml(pageHref(node.pageIndex, hrefTemplate))}"/>`
+    );
+    writeNavPoints(node.children, depth + 1);
+    lines.push(`${INDENT.repeat(depth)}</navPoint>`);
+  });
+  writeNavPoints(tree, 2);
+  lines.push(`${INDENT}</navMap>`);
+
+  if (pages.length > 0) {
+    lines.push(`${INDENT}<pageList>`, `${INDENT.repeat(2)}<navLabel><text>Pages</text></navLabel>`);
+    pages.forEach(({ pageIndex, label }) => {
+      const type = pageTargetType(label);
+      const value = type === 'normal' ? ` value="${label}"` : '';
+      lines.push(
+        `${INDENT.repeat(2)}<pageTarget id="page-${pageIndex + 1}" type="${type}"${value} playOrder="${playOrders.get(pageIndex)}">`,
+        `${INDENT.repeat(3)}<navLabel><text>${labelText(label)}</text></navLabel>`,
+        `${INDENT.repeat(3)}<content src="${escapeXml(pageHref(pageIndex, hrefTemplate))}"/>`,
+        `${INDENT.repeat(2)}</pageTarget>`
+      );
+    });
+    lines.push(`${INDENT}</pageList>`);
+  }
+
+  lines.push('</ncx>');
+  return `${lines.join('\n')}\n`;
+};
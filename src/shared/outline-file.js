@@ -0,0 +1,93 @@
+/**
+ * Outline files read and written outside the PDF: JSON (an array of outline items,
+ * or an object with an items array), the indented text of outline-text.js, Markdown
+ * headings (outline-markdown.js), pdftk bookmark records (outline-pdftk.js), CSV for
+ * spreadsheets (outline-csv.js) and OPML for outliner apps (outline-opml.js).
+ * The same formats carry outlines through the clipboard. LaTeX bookmark commands
+ * (outline-latex.js) and EPUB navigation (outline-epub.js) are written only.
+ */
+
+import { formatOutlineText, parseOutlineText } from './outline-text.js';
+import { formatOutlineMarkdown, parseOutlineMarkdown, isMarkdownOutline } from './outline-markdown.js';
+import { formatPdftkBookmarks, parsePdftkBookmarks, isPdftkBookmarks } from './outline-pdftk.js';
+import { formatOutlineCsv, parseOutlineCsv } from './outline-csv.js';
+import { formatOutlineOpml, parseOutlineOpml, isOpml } from './outline-opml.js';
+import { formatLatexBookmarks } from './outline-latex.js';
+import { formatEpubNav, formatEpubNcx } from './outline-epub.js';
+
+export const OUTLINE_FORMATS = {
+  json: { name: 'JSON', extensions: ['json'] },
+  text: { name: 'Indented text', extensions: ['txt'] },
+  markdown: { name: 'Markdown', extensions: ['md', 'markdown'] },
+  pdftk: { name: 'pdftk bookmarks', extensions: ['txt'] },
+  csv: { name: 'CSV', extensions: ['csv'] },
+  opml: { name: 'OPML', extensions: ['opml'] },
+  latex: { name: 'LaTeX bookmarks', extensions: ['tex'], exportOnly: true },
+  'epub-nav': { name: 'EPUB 3 navigation', extensions: ['xhtml'], exportOnly: true },
+  'epub-ncx': { name: 'EPUB 2 NCX', extensions: ['ncx'], exportOnly: true }
+};
+
+// Format of an outline file from its name: .txt is indented text, .md Markdown, .csv
+// CSV, .opml OPML, .tex LaTeX, .xhtml EPUB navigation, .ncx NCX, anything else JSON.
+// Given the file's text, pdftk bookmark records (which share .txt) and OPML are
+// recognized by their content whatever the name, and text without a file name (as
+// pasted) is told apart by its content as well.
+export const outlineFormatFor = (filePath, text = null) => {
+  if (text !== null && isPdftkBookmarks(text)) return 'pdftk';
+  if (text !== null && isOpml(text)) return 'opml';
+  if (/\.(md|markdown)$/i.test(filePath ?? '')) return 'markdown';
+  if (/\.csv$/i.test(filePath ?? '')) return 'csv';
+  if (/\.opml$/i.test(filePath ?? '')) return 'opml';
+  if (/\.tex$/i.test(filePath ?? '')) return 'latex';
+  if (/\.xhtml$/i.test(filePath ?? '')) return 'epub-nav';
+  if (/\.ncx$/i.test(filePath ?? '')) return 'epub-ncx';
+  if (/\.txt$/i.test(filePath ?? '')) return 'text';
+  if (filePath || text === null) return 'json';
+  if (/^\s*[[{]/.test(text)) return 'json';
+  return isMarkdownOutline(text) ? 'markdown' : 'text';
+};
+
+// Outline items without editor-only fields (sourceRef only means something inside the
+// file the outline was read from)
+export const toPlainItems = items => items.map(({ id, children, sourceRef, ...item }) => item);
+
+/**
+ * Options, for the formats that use them:
+ * - pageLabels: label of every page (index 0 = page 1); CSV writes them in a column and
+ *   reads pages given only by label, EPUB labels its page list with them
+ * - pageCount: pages of the document, for the EPUB page list
+ * - title: title of the OPML document or the EPUB book
+ */
+export const serializeOutline = (items, format, { pageLabels = null, pageCount = 0, title = undefined } = {}) => {
+  if (format === 'text') return formatOutlineText(items);
+  if (format === 'markdown') return formatOutlineMarkdown(items);
+  if (format === 'pdftk') return formatPdftkBookmarks(items);
+  if (format === 'csv') return formatOutlineCsv(items, { pageLabels });
+  if (format === 'opml') return formatOutlineOpml(items, { title });
+  if (format === 'latex') return formatLatexBookmarks(items);
+  if (format === 'epub-nav') return formatEpubNav(items, { title, pageCount, pageLabels });
+  if (format === 'epub-ncx') return formatEpubNcx(items, { title, pageCount, pageLabels });
+  return `${JSON.stringify(toPlainItems(items), null, 2)}\n`;
+};
+
+// Items and the problems met reading them ({ code, message, line }). CSV and OPML skip or
+// repair what they cannot read and report it; the other formats report nothing.
+export const parseOutlineWithDiagnostics = (text, format, { pageLabels = null } = {}) => {
+  if (format === 'csv') return parseOutlineCsv(text, { pageLabels });
+  if (format === 'opml') return parseOutlineOpml(text);
+  return { items: parseOutline(text, format), diagnostics: [] };
+};
+
+export const parseOutline = (text, format, options = {}) => {
+  if (OUTLINE_FORMATS[format]?.exportOnly) {
+    throw new Error(`${OUTLINE_FORMATS[format].name} can only be exported, not read`);
+  }
+  if (format === 'csv' || format === 'opml') return parseOutlineWithDiagnostics(text, format, options).items;
+  if (format === 'text') return parseOutlineText(text);
+  if (format === 'markdown') return parseOutlineMarkdown(text);
+  if (format === 'pdftk') return parsePdftkBookmarks(text);
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) throw new Error('Outline JSON must be an array of items');
+  return items;
+};
@@ -0,0 +1,49 @@
+/**
+ * LaTeX outline export: one \bookmark command of the bookmark package per entry, with
+ * the 1-based page and the 0-based level (hyperref's chapter level) of the entry.
+ *
+ *   \bookmark[page=3,level=0]{Results \& Discussion}
+ *   \bookmark[page=4,level=1,bold]{Error Rates}
+ *
+ * Titles are escaped for LaTeX; line breaks and other control characters in them become
+ * spaces. Links to web pages or other files have no page and are left out. Export only:
+ * nothing reads this format back.
+ */
+
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '#': '\\#',
+  '$': '\\$',
+  '%': '\\%',
+  '&': '\\&',
+  '_': '\\_',
+  '^': '\\textasciicircum{}',
+  '~': '\\textasciitilde{}'
+};
+
+const escapeLatex = text => text
+  .replace(/[\u0000-\u001f\u007f]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/[\\{}#$%&_^~]/g, character => LATEX_ESCAPES[character]);
+
+// "#cc0000" as the bookmark package's [rgb]{0.8,0,0}
+const formatColor = (hex) => {
+  const channels = hex.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i)?.slice(1);
+  if (!channels) return null;
+  return `[rgb]{${channels.map(channel => Number((parseInt(channel, 16) / 255).toFixed(3))).join(',')}}`;
+};
+
+export const formatLatexBookmarks = (items) => {
+  const lines = items.filter(item => !item.action).map((item) => {
+    const options = [`page=${Math.max(0, item.pageIndex ?? 0) + 1}`, `level=${Math.max(0, item.level ?? 0)}`];
+    if (item.style?.bold) options.push('bold');
+    if (item.style?.italic) options.push('italic');
+    const color = item.color ? formatColor(item.color) : null;
+    if (color) options.push(`color=${color}`);
+    return `\\bookmark[${options.join(',')}]{${escapeLatex(item.title ?? 'Untitled') || 'Untitled'}}`;
+  });
+  return ['% Outline as bookmark package commands; needs \\usepackage{bookmark}', ...lines].join('\n') + '\n';
+};
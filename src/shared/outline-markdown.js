@@ -0,0 +1,66 @@
+/**
+ * Markdown outline format: one heading per entry, "#" for the top level, "##" for the
+ * next and so on, with the 1-based page number after an ellipsis.
+ *
+ *   # Part One … 1
+ *   ## Scope … 2
+ *
+ * Markdown has six heading levels, so deeper entries are written as list items nested
+ * under the last heading ("- Detail … 3", indented two spaces per further level). When
+ * reading, list items always sit one level below the heading before them, and the page
+ * number may follow anything outline-text.js accepts (a tab, dot leaders, ...). Other
+ * lines (paragraphs, rules, code fences) are skipped.
+ */
+
+import { splitPageSuffix, singleLineTitle } from './outline-text.js';
+
+const HEADING_LEVELS = 6;
+const LIST_INDENT = '  ';
+
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+const LIST_ITEM = /^([ \t]*)[-*+][ \t]+(.*)$/;
+
+// Whether a text reads as Markdown headings rather than indented text
+export const isMarkdownOutline = text => text.split(/\r?\n/).some(line => HEADING.test(line));
+
+export const formatOutlineMarkdown = items => items.map((item) => {
+  const level = Math.max(0, item.level ?? 0);
+  const entry = `${singleLineTitle(item.title)} … ${(item.pageIndex ?? 0) + 1}`;
+  return level < HEADING_LEVELS
+    ? `${'#'.repeat(level + 1)} ${entry}`
+    : `${LIST_INDENT.repeat(level - HEADING_LEVELS)}- ${entry}`;
+}).join('\n') + (items.length > 0 ? '\n' : '');
+
+// Parse Markdown headings and list items into flat { title, pageIndex, level } items
+export const parseOutlineMarkdown = (text) => {
+  const items = [];
+  // Level of the last heading (-1 before the first) and indentation widths of open list levels
+  let headingLevel = -1;
+  let listWidths = [];
+  let pageIndex = 0;
+
+  const addItem = (content, level) => {
+    const { title, page } = splitPageSuffix(content);
+    if (page !== null) pageIndex = Math.max(0, page - 1);
+    items.push({ title: title || 'Untitled', pageIndex, level });
+  };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(HEADING);
+    if (heading) {
+      headingLevel = heading[1].length - 1;
+      listWidths = [];
+      addItem(heading[2] ?? '', headingLevel);
+      return;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (!listItem) return;
+    const width = listItem[1].replace(/\t/g, LIST_INDENT).length;
+    while (listWidths.length > 0 && listWidths[listWidths.length - 1] > width) listWidths.pop();
+    if (listWidths.length === 0 || listWidths[listWidths.length - 1] < width) listWidths.push(width);
+    addItem(listItem[2], headingLevel + listWidths.length);
+  });
+
+  return items;
+};
@@ -0,0 +1,111 @@
+/**
+ * OPML outline format for outliner apps: nested <outline> elements, one per entry, whose
+ * text is the title and whose page attribute is the 1-based page number.
+ *
+ *   <outline text="Introduction" page="1">
+ *     <outline text="Scope" page="2"/>
+ *   </outline>
+ *
+ * When reading, nesting gives the level, and entries without a page point to the same
+ * page as the entry before them. Problems (a bad page, a stray closing element) are
+ * reported with their line instead of failing the file.
+ */
+
+import { decodeEntities, escapeXml } from './entities.js';
+
+const INDENT = '  ';
+
+// Whether a text is an OPML document
+export const isOpml = text => /<opml[\s>]/i.test(text);
+
+export const formatOutlineOpml = (items, { title = 'Outline' } = {}) => {
+  // Levels as written: nesting cannot skip a level
+  const levels = [];
+  items.forEach((item, index) => {
+    levels.push(Math.min(Math.max(0, item.level ?? 0), index > 0 ? levels[index - 1] + 1 : 0));
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    `${INDENT}<head>`,
+    `${INDENT.repeat(2)}<title>${escapeXml(title)}</title>`,
+    `${INDENT}</head>`,
+    `${INDENT}<body>`
+  ];
+  items.forEach((item, index) => {
+    const level = levels[index];
+    const nextLevel = levels[index + 1] ?? 0;
+    const attributes = `text="${escapeXml(item.title ?? 'Untitled')}" page="${Math.max(0, item.pageIndex ?? 0) + 1}"`;
+    lines.push(`${INDENT.repeat(level + 2)}<outline ${attributes}${nextLevel > level ? '>' : '/>'}`);
+    // Close the entries that end here
+    for (let open = level - 1; open >= nextLevel; open--) {
+      lines.push(`${INDENT.repeat(open + 2)}</outline>`);
+    }
+  });
+  lines.push(`${INDENT}</body>`, '</opml>');
+  return `${lines.join('\n')}\n`;
+};
+
+const readAttributes = (source) => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+};
+
+/**
+ * Parse the <outline> elements of an OPML document into flat { title, pageIndex, level }
+ * items. Returns { items, diagnostics }, where each diagnostic is { code, message, line }
+ * and code is one of 'bad-page', 'missing-title', 'unbalanced' or 'unclosed'. Throws when
+ * the text is not OPML.
+ */
+export const parseOutlineOpml = (text) => {
+  if (!isOpml(text)) throw new Error('Not an OPML document');
+
+  // Comments are dropped, keeping their line breaks so lines still count right
+  const source = text.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ''));
+  const items = [];
+  const diagnostics = [];
+  const report = (code, line, message) => diagnostics.push({ code, message: `Line ${line}: ${message}`, line });
+
+  let depth = 0;
+  let pageIndex = 0;
+  let line = 1;
+  let position = 0;
+  for (const match of source.matchAll(/<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi)) {
+    line += (source.slice(position, match.index).match(/\n/g)?.length ?? 0);
+    position = match.index;
+
+    if (match[0].startsWith('</')) {
+      if (depth === 0) {
+        report('unbalanced', line, 'closing </outline> without an open entry; it is ignored');
+      } else {
+        depth--;
+      }
+      continue;
+    }
+
+    const attributes = readAttributes(match[1]);
+    const title = (attributes.text ?? attributes.title ?? '').trim();
+    if (!title) report('missing-title', line, 'the entry has no text; it is read as "Untitled"');
+
+    if (attributes.page !== undefined) {
+      const page = Number(attributes.page);
+      if (Number.isInteger(page) && page >= 1) {
+        pageIndex = page - 1;
+      } else {
+        report('bad-page', line, `page "${attributes.page}" is not a whole number from 1; the page before it is used`);
+      }
+    }
+
+    items.push({ title: title || 'Untitled', pageIndex, level: depth });
+    if (!match[2]) depth++;
+  }
+
+  if (depth > 0) {
+    report('unclosed', line, `${depth} <outline> element${depth === 1 ? ' is' : 's are'} not closed`);
+  }
+  return { items, diagnostics };
+};
@@ -0,0 +1,54 @@
+/**
+ * pdftk bookmark format, as written by `pdftk dump_data` and read by `update_info`:
+ *
+ *   BookmarkBegin
+ *   BookmarkTitle: Scope
+ *   BookmarkLevel: 2
+ *   BookmarkPageNumber: 3
+ *
+ * Levels and page numbers are 1-based. Titles escape non-ASCII characters and markup
+ * characters as HTML entities ("Caf&#233;", "R&amp;D"). Other dump_data records
+ * (InfoBegin, PageMediaBegin, ...) are ignored when reading.
+ */
+
+import { decodeEntities, encodeEntities } from './entities.js';
+
+// Whether a text holds pdftk bookmark records
+export const isPdftkBookmarks = text => /^\s*BookmarkBegin\s*$/m.test(text);
+
+export const formatPdftkBookmarks = items => items.map(item => [
+  'BookmarkBegin',
+  `BookmarkTitle: ${encodeEntities(item.title ?? 'Untitled')}`,
+  `BookmarkLevel: ${Math.max(0, item.level ?? 0) + 1}`,
+  `BookmarkPageNumber: ${Math.max(0, item.pageIndex ?? 0) + 1}`
+].join('\n')).join('\n') + (items.length > 0 ? '\n' : '');
+
+// Parse bookmark records into flat { title, pageIndex, level } items
+export const parsePdftkBookmarks = (text) => {
+  const items = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (trimmed === 'BookmarkBegin') {
+      current = { title: 'Untitled', pageIndex: 0, level: 0 };
+      items.push(current);
+      return;
+    }
+
+    const match = trimmed.match(/^Bookmark(Title|Level|PageNumber):\s?(.*)$/);
+    if (!match || !current) {
+      // Any other record ends the bookmark being read
+      if (/^\w+Begin$/.test(trimmed)) current = null;
+      return;
+    }
+
+    const [, field, value] = match;
+    if (field === 'Title') current.title = decodeEntities(value.trim()) || 'Untitled';
+    // pdftk writes page 0 for bookmarks without a target page
+    if (field === 'PageNumber') current.pageIndex = Math.max(0, (parseInt(value, 10) || 1) - 1);
+    if (field === 'Level') current.level = Math.max(0, (parseInt(value, 10) || 1) - 1);
+  });
+
+  return items;
+};
@@ -0,0 +1,58 @@
+/**
+ * Indented-text outline format: one entry per line, two spaces of indentation per
+ * level, then the title and the 1-based page number separated by a tab.
+ *
+ *   Introduction<TAB>1
+ *     Scope<TAB>2
+ *
+ * When reading, a tab also counts as one level of indentation, and the page number
+ * may instead follow two or more spaces, dot leaders ("Scope .... 2") or an ellipsis
+ * ("Scope … 2"). Entries without a page number point to the same page as the entry
+ * before them.
+ */
+
+const INDENT = '  ';
+
+// Page number at the end of a line, after a tab, a wide gap, dot leaders or an ellipsis
+const PAGE_SUFFIX = /^(.*?)(?:\t+|\s{2,}|\s*(?:\.{2,}|…+)\s*)(\d+)\s*$/;
+
+// Title and 1-based page number of a line's text; page is null when there is none
+export const splitPageSuffix = (text) => {
+  const match = text.trim().match(PAGE_SUFFIX);
+  return match ? { title: match[1].trim(), page: Number(match[2]) } : { title: text.trim(), page: null };
+};
+
+// A title on one line: line breaks, tabs and other control characters would split or
+// misplace the entry when read back, so they become single spaces
+export const singleLineTitle = title => String(title ?? '')
+  .replace(/[\u0000-\u001f\u007f]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim() || 'Untitled';
+
+export const formatOutlineText = (items) => items
+  .map(item => `${INDENT.repeat(Math.max(0, item.level ?? 0))}${singleLineTitle(item.title)}\t${(item.pageIndex ?? 0) + 1}`)
+  .join('\n') + (items.length > 0 ? '\n' : '');
+
+// Parse indented text into flat { title, pageIndex, level } items
+export const parseOutlineText = (text) => {
+  const items = [];
+  // Indentation widths of the currently open levels
+  const widths = [];
+  let pageIndex = 0;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) return;
+
+    const indentation = line.match(/^[ \t]*/)[0];
+    const width = indentation.replace(/\t/g, INDENT).length;
+    while (widths.length > 0 && widths[widths.length - 1] > width) widths.pop();
+    if (widths.length === 0 || widths[widths.length - 1] < width) widths.push(width);
+
+    const { title, page } = splitPageSuffix(line.slice(indentation.length));
+    if (page !== null) pageIndex = Math.max(0, page - 1);
+
+    items.push({ title: title || 'Untitled', pageIndex, level: widths.length - 1 });
+  });
+
+  return items;
+};
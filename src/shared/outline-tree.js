@@ -0,0 +1,38 @@
+/**
+ * Outline tree from the flat, level-based items the editor works with. Written to the PDF
+ * by outline.js and to nested export formats (EPUB navigation).
+ */
+
+// Build a tree structure from flat items with levels
+export const buildOutlineTree = (flatItems) => {
+  const root = { children: [] };
+  const stack = [{ node: root, level: -1 }];
+  
+  for (const item of flatItems) {
+    const node = {
+      id: item.id ?? crypto.randomUUID(),
+      title: item.title ?? 'Untitled',
+      pageIndex: item.pageIndex ?? 0,
+      level: item.level ?? 0,
+      dest: item.dest ?? null,
+      namedDest: item.namedDest ?? null,
+      color: item.color ?? null,
+      style: item.style ?? null,
+      open: item.open ?? true,
+      action: item.action ?? null,
+      sourceRef: item.sourceRef ?? null,
+      children: []
+    };
+    
+    // Pop stack until we find the correct parent level
+    while (stack.length > 1 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
+    }
+    
+    // Add as child of current top of stack
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ node, level: node.level });
+  }
+  
+  return root.children;
+};
@@ -1,37 +1,307 @@
-import { PDFDocument, PDFName, PDFNumber, PDFRef, PDFHexString } from 'pdf-lib';
+import {
+  PDFName,
+  PDFNumber,
+  PDFRef,
+  PDFHexString,
+  PDFString,
+  PDFArray,
+  PDFDict,
+  PDFBool,
+  PDFRawStream,
+  PDFStream,
+  decodePDFRawStream
+} from 'pdf-lib';
+import { writeIncrementalUpdate, hasSignatures } from './incremental-update.js';
+import { loadPdfDocument } from './encryption.js';
+import { normalizePageLabelRanges } from './page-labels.js';
+import { buildOutlineTree } from './outline-tree.js';
+import { DEST_PARAMS, DEFAULT_DEST } from './destinations.js';
 
-// Build a tree structure from flat items with levels
-const buildOutlineTree = (flatItems) => {
-  const root = { children: [] };
-  const stack = [{ node: root, level: -1 }];
-  
-  for (const item of flatItems) {
-    const node = {
-      id: item.id ?? crypto.randomUUID(),
-      title: item.title ?? 'Untitled',
-      pageIndex: item.pageIndex ?? 0,
-      level: item.level ?? 0,
-      children: []
-    };
-    
-    // Pop stack until we find the correct parent level
-    while (stack.length > 1 && stack[stack.length - 1].level >= node.level) {
-      stack.pop();
+// Read a destination array into a page index and a { type, ...coords } view object.
+// A page that is not in the document is read as the first one; onMissingPage is called then.
+const parseDestArray = (destArray, pages, onMissingPage = null) => {
+  const [pageRef, typeName, ...params] = destArray.asArray();
+
+  let pageIndex = 0;
+  if (pageRef instanceof PDFRef) {
+    pageIndex = pages.findIndex(p => p.ref.toString() === pageRef.toString());
+    if (pageIndex === -1) {
+      pageIndex = 0;
+      if (onMissingPage) onMissingPage();
+    }
+  } else if (pageRef instanceof PDFNumber) {
+    // Remote (GoToR) destinations address pages by number
+    pageIndex = Math.max(0, pageRef.asNumber());
+    if (pages.length > 0 && pageIndex >= pages.length) {
+      pageIndex = 0;
+      if (onMissingPage) onMissingPage();
     }
-    
-    // Add as child of current top of stack
-    stack[stack.length - 1].node.children.push(node);
-    stack.push({ node, level: node.level });
   }
-  
-  return root.children;
+
+  const type = typeName instanceof PDFName ? typeName.decodeText() : 'XYZ';
+  const keys = DEST_PARAMS[type];
+  if (!keys) {
+    return { pageIndex, dest: { ...DEFAULT_DEST } };
+  }
+
+  const dest = { type };
+  keys.forEach((key, idx) => {
+    const value = params[idx];
+    dest[key] = value instanceof PDFNumber ? value.asNumber() : null;
+  });
+
+  return { pageIndex, dest };
+};
+
+// Build a destination array for a page from a { type, ...coords } view object
+const createDestArray = (context, pageRef, dest) => {
+  const type = DEST_PARAMS[dest?.type] ? dest.type : DEFAULT_DEST.type;
+  const params = DEST_PARAMS[type].map((key) => {
+    const value = dest?.[key];
+    return typeof value === 'number' && Number.isFinite(value) ? PDFNumber.of(value) : null;
+  });
+  return context.obj([pageRef, PDFName.of(type), ...params]);
+};
+
+// Byte strings (URIs, file names) are written as hex so no escaping is needed
+const createByteString = (text) => PDFHexString.of(
+  Array.from(new TextEncoder().encode(text), b => b.toString(16).padStart(2, '0')).join('')
+);
+
+const decodeString = (value) =>
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+
+// Read a file specification (plain string or /Filespec dictionary)
+const parseFileSpec = (context, value) => {
+  const spec = context.lookup(value);
+  if (spec instanceof PDFDict) {
+    return decodeString(context.lookup(spec.get(PDFName.of('UF')))) ??
+      decodeString(context.lookup(spec.get(PDFName.of('F')))) ?? '';
+  }
+  return decodeString(spec) ?? '';
+};
+
+const createFileSpec = (context, file) => context.obj({
+  Type: PDFName.of('Filespec'),
+  F: createByteString(file ?? ''),
+  UF: PDFHexString.fromText(file ?? '')
+});
+
+// JavaScript may be given as a text string or a (possibly UTF-16) stream
+const parseJavaScript = (context, value) => {
+  const script = context.lookup(value);
+  if (script instanceof PDFRawStream) {
+    const bytes = decodePDFRawStream(script).decode();
+    const isUtf16 = bytes[0] === 0xfe && bytes[1] === 0xff;
+    return new TextDecoder(isUtf16 ? 'utf-16be' : 'latin1').decode(isUtf16 ? bytes.subarray(2) : bytes);
+  }
+  return decodeString(script) ?? '';
 };
 
-// Create PDF outline entries with proper hierarchy
-const createOutlineEntries = ({ pdfDoc, tree }) => {
+// Read a non-GoTo action into a plain descriptor; GoTo and unsupported actions return null
+const parseAction = (context, actionDict) => {
+  if (!(actionDict instanceof PDFDict)) return null;
+  const subtype = context.lookup(actionDict.get(PDFName.of('S')));
+  const type = subtype instanceof PDFName ? subtype.decodeText() : null;
+
+  switch (type) {
+    case 'URI':
+      return { type, uri: decodeString(context.lookup(actionDict.get(PDFName.of('URI')))) ?? '' };
+    case 'GoToR': {
+      const action = {
+        type,
+        file: parseFileSpec(context, actionDict.get(PDFName.of('F'))),
+        pageIndex: 0,
+        dest: null,
+        namedDest: null
+      };
+      const newWindow = context.lookup(actionDict.get(PDFName.of('NewWindow')));
+      if (newWindow instanceof PDFBool) action.newWindow = newWindow.asBoolean();
+
+      const target = context.lookup(actionDict.get(PDFName.of('D')));
+      if (target instanceof PDFArray) {
+        Object.assign(action, parseDestArray(target, []));
+      } else if (target instanceof PDFName) {
+        action.namedDest = { name: target.decodeText(), kind: 'name' };
+      } else if (decodeString(target) !== null) {
+        action.namedDest = { name: decodeString(target), kind: 'string' };
+      }
+      return action;
+    }
+    case 'Launch':
+      return { type, file: parseFileSpec(context, actionDict.get(PDFName.of('F'))) };
+    case 'Named': {
+      const name = context.lookup(actionDict.get(PDFName.of('N')));
+      return { type, name: name instanceof PDFName ? name.decodeText() : '' };
+    }
+    case 'JavaScript':
+      return { type, script: parseJavaScript(context, actionDict.get(PDFName.of('JS'))) };
+    default:
+      return null;
+  }
+};
+
+// Build an action dictionary from a descriptor produced by parseAction
+const createAction = (context, action) => {
+  switch (action?.type) {
+    case 'URI':
+      return context.obj({ S: PDFName.of('URI'), URI: createByteString(action.uri ?? '') });
+    case 'GoToR': {
+      let target;
+      if (action.namedDest?.name) {
+        target = action.namedDest.kind === 'name'
+          ? PDFName.of(action.namedDest.name)
+          : createByteString(action.namedDest.name);
+      } else {
+        target = createDestArray(context, PDFNumber.of(Math.max(0, action.pageIndex ?? 0)), action.dest);
+      }
+      const dict = {
+        S: PDFName.of('GoToR'),
+        F: createFileSpec(context, action.file),
+        D: target
+      };
+      if (typeof action.newWindow === 'boolean') dict.NewWindow = action.newWindow;
+      return context.obj(dict);
+    }
+    case 'Launch':
+      return context.obj({ S: PDFName.of('Launch'), F: createFileSpec(context, action.file) });
+    case 'Named':
+      return context.obj({ S: PDFName.of('Named'), N: PDFName.of(action.name || 'NextPage') });
+    case 'JavaScript':
+      return context.obj({ S: PDFName.of('JavaScript'), JS: PDFHexString.fromText(action.script ?? '') });
+    default:
+      return null;
+  }
+};
+
+// Outline item flags (/F): bit 1 italic, bit 2 bold
+const ITALIC_FLAG = 1;
+const BOLD_FLAG = 2;
+
+// Convert an outline /C array (RGB components in 0–1) to a #rrggbb string
+const parseColor = (colorArray) => {
+  if (!(colorArray instanceof PDFArray) || colorArray.size() !== 3) return null;
+  const components = colorArray.asArray().map((value) =>
+    value instanceof PDFNumber ? Math.max(0, Math.min(1, value.asNumber())) : 0
+  );
+  return '#' + components.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+};
+
+// Convert a #rrggbb string to /C array components in 0–1
+const createColorArray = (context, color) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(color ?? '');
+  if (!match) return null;
+  const hex = match[1];
+  const components = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  return context.obj(components.map(c => Math.round(c * 1000) / 1000));
+};
+
+// Collect named destinations from the catalog /Dests dictionary (name keys)
+// and the /Names → /Dests name tree (string keys)
+const collectNamedDests = (pdfDoc) => {
+  const context = pdfDoc.context;
+  const byName = new Map();
+  const byString = new Map();
+
+  const destsDict = context.lookup(pdfDoc.catalog.get(PDFName.of('Dests')));
+  if (destsDict instanceof PDFDict) {
+    for (const [key, value] of destsDict.entries()) {
+      byName.set(key.decodeText(), { key, value });
+    }
+  }
+
+  const namesDict = context.lookup(pdfDoc.catalog.get(PDFName.of('Names')));
+  const treeRoot = namesDict instanceof PDFDict
+    ? context.lookup(namesDict.get(PDFName.of('Dests')))
+    : null;
+
+  const pending = treeRoot instanceof PDFDict ? [treeRoot] : [];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const node = pending.pop();
+    if (visited.has(node)) continue;
+    visited.add(node);
+
+    const names = context.lookup(node.get(PDFName.of('Names')));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        const key = context.lookup(names.get(i));
+        if (key instanceof PDFString || key instanceof PDFHexString) {
+          byString.set(key.decodeText(), { key, value: names.get(i + 1) });
+        }
+      }
+    }
+
+    const kids = context.lookup(node.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) {
+      kids.asArray().forEach((kidRef) => {
+        const kid = context.lookup(kidRef);
+        if (kid instanceof PDFDict) pending.push(kid);
+      });
+    }
+  }
+
+  return { byName, byString };
+};
+
+// Resolve a Dest value (explicit array, name or string) to a destination array,
+// remembering the original name when it was a named destination
+const resolveDest = (context, value, namedDests) => {
+  let target = context.lookup(value);
+  let namedDest = null;
+
+  if (target instanceof PDFName) {
+    namedDest = { name: target.decodeText(), kind: 'name' };
+    target = namedDests.byName.get(namedDest.name)?.value;
+  } else if (target instanceof PDFString || target instanceof PDFHexString) {
+    namedDest = { name: target.decodeText(), kind: 'string' };
+    // Some producers write string references to the catalog /Dests dictionary
+    target = (namedDests.byString.get(namedDest.name) ?? namedDests.byName.get(namedDest.name))?.value;
+  }
+
+  target = context.lookup(target);
+  if (target instanceof PDFDict) {
+    target = context.lookup(target.get(PDFName.of('D')));
+  }
+
+  return { destArray: target instanceof PDFArray ? target : null, namedDest };
+};
+
+// Find the Dest value that re-emits a named destination, if it still exists in the document
+const findNamedDestValue = (namedDests, namedDest) => {
+  if (!namedDests || !namedDest?.name) return null;
+  if (namedDest.kind === 'name') {
+    return namedDests.byName.has(namedDest.name) ? PDFName.of(namedDest.name) : null;
+  }
+  return namedDests.byString.get(namedDest.name)?.key ?? null;
+};
+
+// Keys that tie an entry into the outline tree; always regenerated
+const LINK_KEYS = ['Parent', 'Prev', 'Next', 'First', 'Last', 'Count'];
+
+// "12 0 R" for an entry's object, so edited items can find their original dictionary
+const formatSourceRef = ref => `${ref.objectNumber} ${ref.generationNumber} R`;
+
+// Original dictionary of an extracted item, when it still names an outline entry of this document
+const findSourceEntry = (context, sourceRef) => {
+  const match = /^(\d+) (\d+) R$/.exec(sourceRef ?? '');
+  if (!match) return null;
+  const entry = context.lookup(PDFRef.of(Number(match[1]), Number(match[2])));
+  return entry instanceof PDFDict && entry.has(PDFName.of('Title')) ? entry : null;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Create PDF outline entries with proper hierarchy. Items extracted from this document
+// start from a copy of their original dictionary, so keys the editor does not know
+// (/SE, action extras, other tools' keys) survive; a key the editor manages is only
+// rewritten when the item's value for it changed.
+const createOutlineEntries = ({ pdfDoc, tree, namedDests = null }) => {
   const context = pdfDoc.context;
   const pages = pdfDoc.getPages();
   const outlineRootRef = context.nextRef();
+  // Named destinations of the document, to read the original target of an entry
+  let documentNamedDests = null;
   
   // First, count all items and create refs
   const allItems = [];
@@ -49,59 +319,164 @@ const createOutlineEntries = ({ pdfDoc, tree }) => {
   const itemToRef = new Map();
   allItems.forEach(({ item, ref }) => itemToRef.set(item, ref));
   
-  // Count total visible items
+  // Count items visible when their parent is open (closed items hide their descendants)
   const countItems = (items) => {
     let count = 0;
     for (const item of items) {
-      count += 1 + countItems(item.children);
+      count += 1 + (item.open ? countItems(item.children) : 0);
     }
     return count;
   };
   
   const totalCount = countItems(tree);
   
-  // Create outline root
-  const outlineRoot = context.obj({
-    Type: PDFName.of('Outlines'),
-    First: tree.length > 0 ? itemToRef.get(tree[0]) : null,
-    Last: tree.length > 0 ? itemToRef.get(tree[tree.length - 1]) : null,
-    Count: PDFNumber.of(totalCount)
-  });
+  // Create outline root, keeping any extra keys of the current one
+  const currentRoot = context.lookup(pdfDoc.catalog.get(PDFName.of('Outlines')));
+  const outlineRoot = currentRoot instanceof PDFDict ? currentRoot.clone(context) : context.obj({});
+  LINK_KEYS.forEach(key => outlineRoot.delete(PDFName.of(key)));
+  outlineRoot.set(PDFName.of('Type'), PDFName.of('Outlines'));
+  if (tree.length > 0) {
+    outlineRoot.set(PDFName.of('First'), itemToRef.get(tree[0]));
+    outlineRoot.set(PDFName.of('Last'), itemToRef.get(tree[tree.length - 1]));
+  }
+  outlineRoot.set(PDFName.of('Count'), PDFNumber.of(totalCount));
   
   // Create entries
   const entries = [];
   for (const { item, ref, parentRef, siblings, idx } of allItems) {
     const page = pages[item.pageIndex] ?? pages[0];
     const pageRef = page.ref;
-    const destArray = context.obj([pageRef, PDFName.of('XYZ'), null, null, null]);
+    const destValue = findNamedDestValue(namedDests, item.namedDest) ??
+      createDestArray(context, pageRef, item.dest);
     
     const prevItem = idx > 0 ? siblings[idx - 1] : null;
     const nextItem = idx < siblings.length - 1 ? siblings[idx + 1] : null;
     const firstChild = item.children.length > 0 ? item.children[0] : null;
     const lastChild = item.children.length > 0 ? item.children[item.children.length - 1] : null;
     
+    // Closed items store the negated count of descendants shown when opened
     const childCount = countItems(item.children);
+
+    const source = findSourceEntry(context, item.sourceRef);
+    if (source && !documentNamedDests) documentNamedDests = collectNamedDests(pdfDoc);
+    const original = source
+      ? readOutlineItem(context, source, { pages, namedDests: documentNamedDests, level: item.level })
+      : null;
+    const entry = source ? source.clone(context) : context.obj({});
+    LINK_KEYS.forEach(key => entry.delete(PDFName.of(key)));
+
+    if (original?.title !== item.title) {
+      entry.set(PDFName.of('Title'), PDFHexString.fromText(item.title));
+    }
+    entry.set(PDFName.of('Parent'), parentRef);
+
+    // The original /Dest or /A is kept while the target is unchanged, unless it is a
+    // named destination that has to become an explicit one
+    const targetUnchanged = original
+      && sameValue([original.pageIndex, original.dest, original.namedDest, original.action],
+        [item.pageIndex, item.dest, item.namedDest, item.action])
+      && (namedDests || !original.namedDest);
+    if (!targetUnchanged) {
+      entry.delete(PDFName.of('Dest'));
+      entry.delete(PDFName.of('A'));
+      const actionDict = createAction(context, item.action);
+      if (actionDict) {
+        entry.set(PDFName.of('A'), actionDict);
+      } else {
+        entry.set(PDFName.of('Dest'), destValue);
+      }
+    }
     
-    const entryDict = {
-      Title: PDFHexString.fromText(item.title),
-      Parent: parentRef,
-      Dest: destArray
-    };
-    
-    if (prevItem) entryDict.Prev = itemToRef.get(prevItem);
-    if (nextItem) entryDict.Next = itemToRef.get(nextItem);
+    if (prevItem) entry.set(PDFName.of('Prev'), itemToRef.get(prevItem));
+    if (nextItem) entry.set(PDFName.of('Next'), itemToRef.get(nextItem));
     if (firstChild) {
-      entryDict.First = itemToRef.get(firstChild);
-      entryDict.Last = itemToRef.get(lastChild);
-      entryDict.Count = PDFNumber.of(childCount);
+      entry.set(PDFName.of('First'), itemToRef.get(firstChild));
+      entry.set(PDFName.of('Last'), itemToRef.get(lastChild));
+      entry.set(PDFName.of('Count'), PDFNumber.of(item.open ? childCount : -childCount));
+    }
+
+    if (!original || !sameValue(original.color, item.color)) {
+      entry.delete(PDFName.of('C'));
+      const colorArray = createColorArray(context, item.color);
+      if (colorArray) entry.set(PDFName.of('C'), colorArray);
+    }
+
+    // Flag bits other than italic and bold are carried over
+    const originalFlags = context.lookup(entry.get(PDFName.of('F')));
+    const otherFlags = originalFlags instanceof PDFNumber ? originalFlags.asNumber() & ~(ITALIC_FLAG | BOLD_FLAG) : 0;
+    const flags = otherFlags | (item.style?.italic ? ITALIC_FLAG : 0) | (item.style?.bold ? BOLD_FLAG : 0);
+    if (flags) {
+      entry.set(PDFName.of('F'), PDFNumber.of(flags));
+    } else {
+      entry.delete(PDFName.of('F'));
     }
     
-    entries.push({ ref, entry: context.obj(entryDict) });
+    entries.push({ ref, entry, item });
   }
   
   return { outlineRootRef, outlineRoot, entries };
 };
 
+// Collect the indirect objects owned by the current outline: its root, every entry,
+// and the objects entries reference directly (dest arrays, actions, colors)
+const collectOutlineRefs = (pdfDoc) => {
+  const context = pdfDoc.context;
+  const rootRef = pdfDoc.catalog.get(PDFName.of('Outlines'));
+  if (!(rootRef instanceof PDFRef)) return new Set();
+
+  const owned = new Set([rootRef]);
+  const addIfRef = (value) => {
+    if (value instanceof PDFRef) owned.add(value);
+  };
+
+  const root = context.lookup(rootRef);
+  const pending = root instanceof PDFDict ? [root.get(PDFName.of('First'))] : [];
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (!(ref instanceof PDFRef) || owned.has(ref)) continue;
+    const entry = context.lookup(ref);
+    if (!(entry instanceof PDFDict)) continue;
+    owned.add(ref);
+
+    ['Dest', 'C'].forEach(key => addIfRef(entry.get(PDFName.of(key))));
+    const actionRef = entry.get(PDFName.of('A'));
+    addIfRef(actionRef);
+    const action = context.lookup(actionRef);
+    if (action instanceof PDFDict) {
+      ['D', 'F', 'JS', 'URI', 'Next'].forEach(key => addIfRef(action.get(PDFName.of(key))));
+    }
+
+    pending.push(entry.get(PDFName.of('Next')), entry.get(PDFName.of('First')));
+  }
+
+  return owned;
+};
+
+// Collect every indirect object reachable from the trailer
+const collectReachableRefs = (context) => {
+  const reachable = new Set();
+  const { Root, Info, Encrypt, ID } = context.trailerInfo;
+  const pending = [Root, Info, Encrypt, ID].filter(Boolean);
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+    if (value instanceof PDFRef) {
+      if (reachable.has(value)) continue;
+      reachable.add(value);
+      const object = context.lookup(value);
+      if (object) pending.push(object);
+    } else if (value instanceof PDFDict) {
+      pending.push(...value.values());
+    } else if (value instanceof PDFArray) {
+      pending.push(...value.asArray());
+    } else if (value instanceof PDFStream) {
+      pending.push(value.dict);
+    }
+  }
+
+  return reachable;
+};
+
 const flattenOutline = (items) => {
   const result = [];
   const walk = (node) => {
@@ -112,88 +487,272 @@ const flattenOutline = (items) => {
   return result;
 };
 
-export const extractOutline = async (data) => {
-  const pdfDoc = await PDFDocument.load(data);
-  const outline = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Outlines')));
+// Read the /PageLabels number tree into label ranges; null when the document has none
+const readPageLabelRanges = (pdfDoc) => {
+  const context = pdfDoc.context;
+  const root = context.lookup(pdfDoc.catalog.get(PDFName.of('PageLabels')));
+  if (!(root instanceof PDFDict)) return null;
+
+  const ranges = [];
+  const pending = [root];
+  const visited = new Set();
+  while (pending.length > 0) {
+    const node = pending.pop();
+    if (!(node instanceof PDFDict) || visited.has(node)) continue;
+    visited.add(node);
+
+    const nums = context.lookup(node.get(PDFName.of('Nums')));
+    if (nums instanceof PDFArray) {
+      for (let i = 0; i + 1 < nums.size(); i += 2) {
+        const key = context.lookup(nums.get(i));
+        const label = context.lookup(nums.get(i + 1));
+        if (!(key instanceof PDFNumber) || !(label instanceof PDFDict)) continue;
 
-  if (!outline) {
-    return [];
+        const style = context.lookup(label.get(PDFName.of('S')));
+        const start = context.lookup(label.get(PDFName.of('St')));
+        ranges.push({
+          startPage: key.asNumber(),
+          style: style instanceof PDFName ? style.decodeText() : null,
+          prefix: decodeString(context.lookup(label.get(PDFName.of('P')))) ?? '',
+          start: start instanceof PDFNumber ? start.asNumber() : 1
+        });
+      }
+    }
+
+    const kids = context.lookup(node.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) {
+      kids.asArray().forEach(kid => pending.push(context.lookup(kid)));
+    }
   }
 
-  const outlinesDict = outline;
+  return normalizePageLabelRanges(ranges, pdfDoc.getPageCount());
+};
+
+// Indirect objects of the current /PageLabels tree (nodes and label dictionaries)
+const collectPageLabelRefs = (pdfDoc) => {
+  const context = pdfDoc.context;
+  const refs = new Set();
+  const pending = [pdfDoc.catalog.get(PDFName.of('PageLabels'))];
+  while (pending.length > 0) {
+    const value = pending.pop();
+    if (value instanceof PDFRef) {
+      if (refs.has(value)) continue;
+      refs.add(value);
+    }
+    const node = context.lookup(value);
+    if (!(node instanceof PDFDict)) continue;
+
+    const nums = context.lookup(node.get(PDFName.of('Nums')));
+    if (nums instanceof PDFArray) {
+      nums.asArray().forEach((entry, index) => {
+        if (index % 2 === 1 && entry instanceof PDFRef) refs.add(entry);
+      });
+    }
+    const kids = context.lookup(node.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) pending.push(...kids.asArray());
+  }
+  return refs;
+};
+
+// Build a /PageLabels number tree (a single root node) from label ranges
+const createPageLabelTree = (pdfDoc, ranges) => {
+  const context = pdfDoc.context;
+  const nums = [];
+  normalizePageLabelRanges(ranges, pdfDoc.getPageCount()).forEach(({ startPage, style, prefix, start }) => {
+    const label = context.obj({});
+    if (style) label.set(PDFName.of('S'), PDFName.of(style));
+    if (prefix) label.set(PDFName.of('P'), PDFHexString.fromText(prefix));
+    if (start !== 1) label.set(PDFName.of('St'), PDFNumber.of(start));
+    nums.push(PDFNumber.of(startPage), label);
+  });
+  return context.register(context.obj({ Nums: nums }));
+};
+
+// Human-readable label for a PDF object reference in diagnostics
+const describeRef = (ref) => (ref instanceof PDFRef ? `object ${ref.objectNumber} ${ref.generationNumber} R` : 'a direct object');
+
+// Read one outline entry into an editor item
+const readOutlineItem = (context, item, { pages, namedDests, level, onMissingPage = null }) => {
+  const titleValue = context.lookup(item.get(PDFName.of('Title')));
+  const title = titleValue?.decodeText?.() ?? 'Untitled';
+
+  // Extract page index and view from Dest or A (Action)
+  let pageIndex = 0;
+  let destView = { ...DEFAULT_DEST };
+  const dest = item.get(PDFName.of('Dest'));
+  const action = item.get(PDFName.of('A'));
+  let destValue = dest;
+  let outlineAction = null;
+
+  if (!dest && action) {
+    const actionDict = context.lookup(action);
+    outlineAction = parseAction(context, actionDict);
+    if (!outlineAction) destValue = actionDict?.get(PDFName.of('D'));
+  }
+
+  const { destArray, namedDest } = destValue
+    ? resolveDest(context, destValue, namedDests)
+    : { destArray: null, namedDest: null };
+  if (destArray) {
+    ({ pageIndex, dest: destView } = parseDestArray(destArray, pages, onMissingPage));
+  }
+
+  const color = parseColor(context.lookup(item.get(PDFName.of('C'))));
+  const flagsValue = context.lookup(item.get(PDFName.of('F')));
+  const flags = flagsValue instanceof PDFNumber ? flagsValue.asNumber() : 0;
+  const style = flags & (ITALIC_FLAG | BOLD_FLAG)
+    ? { bold: Boolean(flags & BOLD_FLAG), italic: Boolean(flags & ITALIC_FLAG) }
+    : null;
+
+  // A negative /Count marks an entry whose children are hidden when the file opens
+  const countValue = context.lookup(item.get(PDFName.of('Count')));
+  const open = !(countValue instanceof PDFNumber && countValue.asNumber() < 0);
+
+  return {
+    id: crypto.randomUUID(),
+    title,
+    pageIndex,
+    level,
+    dest: destView,
+    namedDest,
+    color,
+    style,
+    open,
+    action: outlineAction,
+    children: []
+  };
+};
+
+/**
+ * Read the outline without recursion, so malformed or very long outlines cannot
+ * hang or overflow the stack. Returns the flat items in document order and a list
+ * of problems found on the way ({ code, message, title }), where code is one of
+ * 'cycle', 'dangling-ref', 'missing-title', 'bad-parent', 'bad-prev' or 'bad-page'
+ * (a destination on a page that is not in the document, read as the first page).
+ * Entries behind a cycle or a dangling reference are skipped.
+ * The document's page label ranges come along as pageLabels (null when none).
+ * Options as for extractOutline.
+ */
+export const extractOutlineWithDiagnostics = async (data, { password = '', loaded = null, onProgress = null } = {}) => {
+  const { pdfDoc } = loaded ?? await loadPdfDocument(data, { password, onProgress });
+  const context = pdfDoc.context;
+  const rootRef = pdfDoc.catalog.get(PDFName.of('Outlines'));
+  const outlinesDict = context.lookup(rootRef);
+  const items = [];
+  const diagnostics = [];
+  const pageLabels = readPageLabelRanges(pdfDoc);
+
+  if (!(outlinesDict instanceof PDFDict)) {
+    return { items, diagnostics, pageLabels };
+  }
+
+  const pages = pdfDoc.getPages();
+  const namedDests = collectNamedDests(pdfDoc);
+  const visited = new Set();
+  const report = (code, message, title = null) => diagnostics.push({ code, message, title });
+
+  // Depth-first: the next sibling is pushed before the first child so children come out first
+  const pending = [];
   const firstRef = outlinesDict.get(PDFName.of('First'));
-  const outlineItems = [];
+  if (firstRef) {
+    pending.push({ ref: firstRef, level: 0, parentRef: rootRef, prevRef: null, origin: 'at the top of the outline' });
+  }
 
-  const walk = (ref, level = 0) => {
-    if (!ref) return;
-    const item = pdfDoc.context.lookup(ref);
-    if (!item) return;
+  while (pending.length > 0) {
+    const { ref, level, parentRef, prevRef, origin, from = null } = pending.pop();
+    const item = context.lookup(ref);
 
-    const title = item.get(PDFName.of('Title'))?.decodeText?.() ?? 'Untitled';
-    
-    // Extract page index from Dest or A (Action)
-    let pageIndex = 0;
-    const dest = item.get(PDFName.of('Dest'));
-    const action = item.get(PDFName.of('A'));
-    
-    if (dest) {
-      const destArray = pdfDoc.context.lookup(dest);
-      if (destArray && destArray.asArray) {
-        const pageRef = destArray.asArray()[0];
-        if (pageRef instanceof PDFRef) {
-          const pages = pdfDoc.getPages();
-          pageIndex = pages.findIndex(p => p.ref.toString() === pageRef.toString());
-          if (pageIndex === -1) pageIndex = 0;
-        }
-      }
-    } else if (action) {
-      const actionDict = pdfDoc.context.lookup(action);
-      if (actionDict) {
-        const actionDest = actionDict.get(PDFName.of('D'));
-        if (actionDest) {
-          const destArray = pdfDoc.context.lookup(actionDest);
-          if (destArray && destArray.asArray) {
-            const pageRef = destArray.asArray()[0];
-            if (pageRef instanceof PDFRef) {
-              const pages = pdfDoc.getPages();
-              pageIndex = pages.findIndex(p => p.ref.toString() === pageRef.toString());
-              if (pageIndex === -1) pageIndex = 0;
-            }
-          }
-        }
-      }
+    if (!(item instanceof PDFDict)) {
+      report('dangling-ref', `Outline entry ${origin} points to missing ${describeRef(ref)}`, from);
+      continue;
+    }
+    if (visited.has(item)) {
+      report('cycle', `Outline links ${origin} loop back to an earlier entry; the rest of that level was skipped`, from);
+      continue;
     }
+    visited.add(item);
 
-    outlineItems.push({
-      id: crypto.randomUUID(),
-      title,
-      pageIndex,
-      level,
-      children: []
-    });
+    let missingPage = false;
+    const outlineItem = readOutlineItem(context, item, { pages, namedDests, level, onMissingPage: () => { missingPage = true; } });
+    outlineItem.sourceRef = ref instanceof PDFRef ? formatSourceRef(ref) : null;
+    items.push(outlineItem);
+    const { title } = outlineItem;
 
-    // Process children first
-    const firstChild = item.get(PDFName.of('First'));
-    if (firstChild) {
-      walk(firstChild, level + 1);
+    const titleValue = context.lookup(item.get(PDFName.of('Title')));
+    if (!(titleValue instanceof PDFString || titleValue instanceof PDFHexString)) {
+      report('missing-title', `Outline entry ${origin} has no title`, title);
+    }
+    if (missingPage) {
+      report('bad-page', `"${title}" points to a page that is not in the document; it is read as page 1`, title);
+    }
+    if (item.get(PDFName.of('Parent')) !== parentRef) {
+      report('bad-parent', `"${title}" does not point back to its parent entry`, title);
+    }
+    if ((item.get(PDFName.of('Prev')) ?? null) !== prevRef) {
+      report('bad-prev', `"${title}" has a /Prev link that does not match the previous entry`, title);
     }
 
-    // Then process siblings
     const nextRef = item.get(PDFName.of('Next'));
     if (nextRef) {
-      walk(nextRef, level);
+      pending.push({ ref: nextRef, level, parentRef, prevRef: ref, origin: `after "${title}"`, from: title });
+    }
+    const childRef = item.get(PDFName.of('First'));
+    if (childRef) {
+      pending.push({ ref: childRef, level: level + 1, parentRef: ref, prevRef: null, origin: `under "${title}"`, from: title });
     }
-  };
-
-  if (firstRef) {
-    walk(firstRef);
   }
 
-  return outlineItems;
+  return { items, diagnostics, pageLabels };
 };
 
-export const applyOutlineToPdf = async (data, outlineItems) => {
-  const pdfDoc = await PDFDocument.load(data);
+// Options:
+// - password: user or owner password for encrypted documents
+// - loaded: { pdfDoc, security } from loadPdfDocument, read instead of parsing data again
+// - onProgress: called with the fraction of the file parsed so far
+export const extractOutline = async (data, options = {}) => {
+  const { items } = await extractOutlineWithDiagnostics(data, options);
+  return items;
+};
+
+// Serialize the document, encrypting it again when it was loaded from an encrypted file.
+// Object streams are not used then: their contents would have to be encrypted as a whole.
+const saveDocument = (pdfDoc, security) => {
+  if (!security) return pdfDoc.save();
+  security.encryptObjects(pdfDoc.context);
+  return pdfDoc.save({ useObjectStreams: false });
+};
+
+// Options:
+// - preserveNamedDests: write Dest as the original named destination when it still exists
+// - incremental: true to append the new outline as an incremental update instead of
+//   rewriting the file, 'auto' to do so only when the document is signed
+// - onReport: called with { incremental, reclaimedObjects, sourceRefs } before the bytes are
+//   returned; sourceRefs maps each item id to the entry written for it
+// - password: user or owner password for encrypted documents; the saved file is
+//   encrypted again with the original key, passwords and permissions
+// - pageLabels: page label ranges (see page-labels.js) replacing /PageLabels; an empty
+//   list removes the labels, null leaves them untouched
+// - loaded: { pdfDoc, security } already parsed from data by loadPdfDocument, used instead
+//   of parsing data again; the document is modified, so it can only be used once
+// - onProgress: called with the fraction of the file parsed so far
+// Items with a sourceRef keep the extra keys of the entry they were extracted from.
+export const applyOutlineToPdf = async (
+  data,
+  outlineItems,
+  {
+    preserveNamedDests = false,
+    incremental = false,
+    onReport = null,
+    password = '',
+    pageLabels = null,
+    loaded = null,
+    onProgress = null
+  } = {}
+) => {
+  // Metadata is stamped once the save mode is known: an incremental update leaves it as it was
+  const { pdfDoc, security } = loaded ?? await loadPdfDocument(data, { password, updateMetadata: false, onProgress });
+  const useIncremental = incremental === true || (incremental === 'auto' && hasSignatures(pdfDoc));
+  if (!useIncremental) pdfDoc.updateInfoDict();
 
   const sanitized = outlineItems.map((item) => ({
     ...item,
@@ -202,24 +761,60 @@ export const applyOutlineToPdf = async (data, outlineItems) => {
     level: item.level ?? 0
   }));
 
-  if (sanitized.length === 0) {
-    return pdfDoc.save();
+  // Objects of the outline (and page labels) being replaced; removed below once nothing else uses them
+  const previousOutlineRefs = useIncremental ? new Set() : collectOutlineRefs(pdfDoc);
+  const updatedRefs = [pdfDoc.context.trailerInfo.Root];
+  const sourceRefs = {};
+
+  if (pageLabels) {
+    if (!useIncremental) collectPageLabelRefs(pdfDoc).forEach(ref => previousOutlineRefs.add(ref));
+    if (pageLabels.length === 0) {
+      pdfDoc.catalog.delete(PDFName.of('PageLabels'));
+    } else {
+      const pageLabelsRef = createPageLabelTree(pdfDoc, pageLabels);
+      pdfDoc.catalog.set(PDFName.of('PageLabels'), pageLabelsRef);
+      updatedRefs.push(pageLabelsRef);
+    }
   }
 
-  // Build hierarchical tree from flat items
-  const tree = buildOutlineTree(sanitized);
+  if (sanitized.length === 0) {
+    // An empty outline removes the document's bookmarks altogether
+    pdfDoc.catalog.delete(PDFName.of('Outlines'));
+  } else {
+    // Build hierarchical tree from flat items
+    const tree = buildOutlineTree(sanitized);
 
-  const { outlineRootRef, outlineRoot, entries } = createOutlineEntries({
-    pdfDoc,
-    tree
-  });
+    const { outlineRootRef, outlineRoot, entries } = createOutlineEntries({
+      pdfDoc,
+      tree,
+      namedDests: preserveNamedDests ? collectNamedDests(pdfDoc) : null
+    });
 
-  pdfDoc.context.assign(outlineRootRef, outlineRoot);
-  entries.forEach(({ ref, entry }) => {
-    pdfDoc.context.assign(ref, entry);
-  });
+    pdfDoc.context.assign(outlineRootRef, outlineRoot);
+    entries.forEach(({ ref, entry }) => {
+      pdfDoc.context.assign(ref, entry);
+    });
 
-  pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRootRef);
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRootRef);
+    updatedRefs.push(outlineRootRef, ...entries.map(({ ref }) => ref));
+    entries.forEach(({ ref, item }) => { sourceRefs[item.id] = formatSourceRef(ref); });
+  }
+
+  if (useIncremental) {
+    // Only the new outline objects and the updated catalog are appended
+    if (onReport) onReport({ incremental: true, reclaimedObjects: 0, sourceRefs });
+    if (security) security.encryptObjects(pdfDoc.context, updatedRefs);
+    return writeIncrementalUpdate(data, pdfDoc.context, updatedRefs);
+  }
+
+  let reclaimedObjects = 0;
+  if (previousOutlineRefs.size > 0) {
+    const reachable = collectReachableRefs(pdfDoc.context);
+    previousOutlineRefs.forEach((ref) => {
+      if (!reachable.has(ref) && pdfDoc.context.delete(ref)) reclaimedObjects++;
+    });
+  }
+  if (onReport) onReport({ incremental: false, reclaimedObjects, sourceRefs });
 
-  return pdfDoc.save();
+  return saveDocument(pdfDoc, security);
 };
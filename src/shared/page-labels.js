@@ -0,0 +1,137 @@
+/**
+ * Page label ranges (/PageLabels), shared by the main process and the renderer.
+ *
+ * A range applies from its first page until the next range starts:
+ *   { startPage: 0-based physical page, style: 'D' | 'r' | 'R' | 'a' | 'A' | null,
+ *     prefix: string, start: first number of the range (1 by default) }
+ * A null style labels pages with the prefix alone.
+ */
+
+// Numbering styles of ISO 32000-1, 12.4.2
+export const PAGE_LABEL_STYLES = {
+  D: 'Decimal (1, 2, 3)',
+  r: 'Roman lowercase (i, ii, iii)',
+  R: 'Roman uppercase (I, II, III)',
+  a: 'Letters lowercase (a, b, c)',
+  A: 'Letters uppercase (A, B, C)'
+};
+
+const ROMAN_NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+  [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+];
+
+export const toRoman = (number) => {
+  let remaining = number;
+  let result = '';
+  ROMAN_NUMERALS.forEach(([value, numeral]) => {
+    while (remaining >= value) {
+      result += numeral;
+      remaining -= value;
+    }
+  });
+  return result;
+};
+
+// 1 → A, 26 → Z, 27 → AA, 53 → AAA (the letter repeats, as PDF viewers count)
+const toLetters = (number) => {
+  const letter = String.fromCharCode(65 + ((number - 1) % 26));
+  return letter.repeat(Math.floor((number - 1) / 26) + 1);
+};
+
+const formatNumber = (number, style) => {
+  switch (style) {
+    case 'D': return String(number);
+    case 'r': return toRoman(number).toLowerCase();
+    case 'R': return toRoman(number);
+    case 'a': return toLetters(number).toLowerCase();
+    case 'A': return toLetters(number);
+    default: return '';
+  }
+};
+
+// Sort ranges, keep the last one for a repeated start page and make sure page 1
+// is covered, as the PDF format requires (uncovered leading pages keep plain numbers)
+export const normalizePageLabelRanges = (ranges, pageCount = Infinity) => {
+  const byStart = new Map();
+  ranges.forEach((range) => {
+    const startPage = Math.max(0, Math.floor(Number(range.startPage) || 0));
+    if (startPage >= pageCount) return;
+    byStart.set(startPage, {
+      startPage,
+      style: PAGE_LABEL_STYLES[range.style] ? range.style : null,
+      prefix: range.prefix ?? '',
+      start: Math.max(1, Math.floor(Number(range.start) || 1))
+    });
+  });
+
+  const normalized = Array.from(byStart.values()).sort((a, b) => a.startPage - b.startPage);
+  if (normalized.length > 0 && normalized[0].startPage > 0) {
+    normalized.unshift({ startPage: 0, style: 'D', prefix: '', start: 1 });
+  }
+  return normalized;
+};
+
+// Label of every physical page (index 0 = page 1)
+export const computePageLabels = (ranges, pageCount) => {
+  const normalized = normalizePageLabelRanges(ranges, pageCount);
+  const labels = [];
+  normalized.forEach((range, index) => {
+    const end = normalized[index + 1]?.startPage ?? pageCount;
+    for (let page = range.startPage; page < end; page++) {
+      labels.push(`${range.prefix}${formatNumber(range.start + page - range.startPage, range.style)}`);
+    }
+  });
+  return labels;
+};
+
+// Whether a printed number continues a run: same style, counting up with the pages
+const continuesRun = (run, { page, number, style }) => style === run.style
+  && page > run.last.page
+  && number - run.last.number === page - run.last.page;
+
+/**
+ * Propose label ranges from the page numbers printed on the pages, where printed[i]
+ * is { number, style: 'D' | 'r' | 'R' } for physical page i or null when none was found.
+ * At least two consistently numbered pages make a range; a number that does not
+ * continue the current sequence (a restart, a switch from roman to arabic) starts a
+ * new one. Ranges reach back over unnumbered pages such as chapter openings.
+ */
+export const inferPageLabelRanges = (printed) => {
+  const runs = [];
+  printed.forEach((entry, page) => {
+    if (!entry) return;
+    const detected = { page, number: entry.number, style: entry.style };
+    const current = runs[runs.length - 1];
+    if (current && continuesRun(current, detected)) {
+      current.last = detected;
+      current.count++;
+    } else {
+      runs.push({ style: entry.style, first: detected, last: detected, count: 1 });
+    }
+  });
+
+  // Drop stray numbers (figure numbers, dates), then rejoin the runs they interrupted
+  const sequences = [];
+  runs.filter(run => run.count >= 2).forEach((run) => {
+    const previous = sequences[sequences.length - 1];
+    if (previous && continuesRun(previous, run.first)) {
+      previous.last = run.last;
+      previous.count += run.count;
+    } else {
+      sequences.push(run);
+    }
+  });
+
+  const ranges = sequences.map((sequence, index) => {
+    const earliest = index === 0 ? 0 : sequences[index - 1].last.page + 1;
+    const startPage = Math.max(earliest, sequence.first.page - (sequence.first.number - 1));
+    return {
+      startPage,
+      style: sequence.style,
+      prefix: '',
+      start: sequence.first.number - (sequence.first.page - startPage)
+    };
+  });
+  return normalizePageLabelRanges(ranges, printed.length);
+};
@@ -0,0 +1,85 @@
+/**
+ * Sections of a document by outline: the entries at one level divide the pages, and each
+ * section keeps the part of the outline inside it. Used to split a PDF into one file per
+ * section.
+ */
+
+// Characters that are not allowed in file names on one platform or another
+const UNSAFE_FILE_NAME = /[\\/:*?"<>|\u0000-\u001f]/g;
+const MAX_FILE_NAME_LENGTH = 120;
+
+/**
+ * Sections at a 0-based outline level of a flat outline. A section starts at the page of
+ * its entry and runs up to the page of the next entry at the same or a higher level (the
+ * end of the document for the last one); it always has at least its first page.
+ * Returns [{ number, title, startPage, endPage (exclusive), items }], where items is the
+ * section's entry and the entries nested under it, rebased to the section's own pages
+ * and to level 0. Link entries (with an action) neither start nor end a section.
+ */
+export const computeSections = (items, level, pageCount) => {
+  const isBoundary = item => !item.action && (item.level ?? 0) <= level;
+  const sections = [];
+
+  items.forEach((item, index) => {
+    if (item.action || (item.level ?? 0) !== level) return;
+
+    let endIndex = items.length;
+    for (let next = index + 1; next < items.length; next++) {
+      if (isBoundary(items[next])) {
+        endIndex = next;
+        break;
+      }
+    }
+
+    const startPage = Math.min(Math.max(0, item.pageIndex ?? 0), pageCount - 1);
+    const nextPage = endIndex < items.length ? items[endIndex].pageIndex ?? 0 : pageCount;
+    const endPage = Math.min(pageCount, Math.max(startPage + 1, nextPage));
+    const lastPage = endPage - startPage - 1;
+
+    sections.push({
+      number: sections.length + 1,
+      title: item.title ?? 'Untitled',
+      startPage,
+      endPage,
+      items: items.slice(index, endIndex).map(entry => ({
+        ...entry,
+        pageIndex: Math.min(Math.max(0, (entry.pageIndex ?? 0) - startPage), lastPage),
+        level: Math.max(0, (entry.level ?? 0) - level)
+      }))
+    });
+  });
+
+  return sections;
+};
+
+export const sanitizeFileName = (name) => {
+  const cleaned = String(name ?? '')
+    .replace(UNSAFE_FILE_NAME, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  return cleaned || 'Untitled';
+};
+
+/**
+ * File names for sections from a template with {n} (the section number, zero-padded to
+ * the width of the last one) and {title} (the entry's title, made safe for file names),
+ * e.g. "{n} - {title}" → "03 - Results.pdf". Names that would repeat get " (2)", " (3)", ...
+ */
+export const formatSectionFileNames = (sections, template) => {
+  const width = String(Math.max(0, ...sections.map(section => section.number))).length;
+  const used = new Set();
+
+  return sections.map((section) => {
+    const base = sanitizeFileName(template
+      .replace(/\{n\}/g, String(section.number).padStart(width, '0'))
+      .replace(/\{title\}/g, sanitizeFileName(section.title))
+      .replace(/\.pdf$/i, ''));
+
+    let name = `${base}.pdf`;
+    for (let copy = 2; used.has(name.toLowerCase()); copy++) name = `${base} (${copy}).pdf`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
@@ -0,0 +1,31 @@
+/**
+ * Splitting a PDF into one document per section (see sections.js), each carrying the
+ * outline of its section.
+ */
+
+import { PDFDocument } from 'pdf-lib';
+import { loadPdfDocument } from './encryption.js';
+import { applyOutlineToPdf } from './outline.js';
+
+/**
+ * Build a document for each section ({ title, startPage, endPage, items } from
+ * computeSections) and await writeSection(section, data) for it, one section at a time
+ * so that only one part is held in memory. onProgress is called with the fraction of the
+ * sections written. Parts of an encrypted document are written without encryption.
+ */
+export const splitPdf = async (data, sections, writeSection, { password = '', onProgress = null } = {}) => {
+  const { pdfDoc } = await loadPdfDocument(data, { password, updateMetadata: false });
+
+  for (const [index, section] of sections.entries()) {
+    const part = await PDFDocument.create();
+    const pageIndices = Array.from({ length: section.endPage - section.startPage }, (_, offset) => section.startPage + offset);
+    const pages = await part.copyPages(pdfDoc, pageIndices);
+    pages.forEach(page => part.addPage(page));
+    part.setTitle(section.title);
+
+    // Named destinations and object references belong to the source file
+    const items = section.items.map(({ id, sourceRef, namedDest, ...item }) => item);
+    await writeSection(section, await applyOutlineToPdf(null, items, { loaded: { pdfDoc: part, security: null } }));
+    if (onProgress) onProgress((index + 1) / sections.length);
+  }
+};
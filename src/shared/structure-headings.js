@@ -0,0 +1,69 @@
+/**
+ * Headings of a tagged PDF from its structure tree, as pdf.js gives it per page
+ * (page.getStructTree) with the page's text content read with includeMarkedContent.
+ *
+ * Tree nodes are { role, alt, children } for structure elements and
+ * { type: 'content', id } for the marked content they hold.
+ */
+
+const HEADING_ROLE = /^H([1-6])?$/;
+
+/**
+ * Text of each marked-content sequence on a page, by the id pdf.js gives it in the
+ * structure tree (textItems: the items of the page's text content).
+ */
+export const collectMarkedContentText = (textItems) => {
+  const texts = new Map();
+  const openIds = [];
+  for (const item of textItems) {
+    if (item.type === 'beginMarkedContentProps' || item.type === 'beginMarkedContent') {
+      openIds.push(item.id ?? null);
+    } else if (item.type === 'endMarkedContent') {
+      openIds.pop();
+    } else if (item.str !== undefined) {
+      const id = openIds.findLast(openId => openId !== null);
+      if (id) texts.set(id, (texts.get(id) ?? '') + item.str + (item.hasEOL ? ' ' : ''));
+    }
+  }
+  return texts;
+};
+
+// Text of a heading: its marked content in reading order, else its alternate text
+const headingTitle = (node, texts) => {
+  const parts = [];
+  const contents = [node];
+  while (contents.length > 0) {
+    const current = contents.pop();
+    if (current.type === 'content') parts.push(texts.get(current.id) ?? '');
+    (current.children ?? []).slice().reverse().forEach(child => contents.push(child));
+  }
+  return (parts.join('').trim() || node.alt || '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Headings in the structure tree of one page (texts from collectMarkedContentText):
+ * H1–H6 give their level directly, a plain H takes the depth of the sections around it.
+ * Returns [{ title, pageIndex, level }] with 1-based levels in reading order.
+ */
+export const findStructureHeadings = (tree, texts, pageIndex) => {
+  const headings = [];
+
+  // Depth-first, in reading order, tracking how many sections enclose each node
+  const pending = [{ node: tree, sections: 0 }];
+  while (pending.length > 0) {
+    const { node, sections } = pending.pop();
+    const match = HEADING_ROLE.exec(node.role ?? '');
+    if (match) {
+      const title = headingTitle(node, texts);
+      if (title) headings.push({ title, pageIndex, level: match[1] ? Number(match[1]) : Math.max(1, sections) });
+      continue;
+    }
+
+    const childSections = sections + (node.role === 'Sect' ? 1 : 0);
+    (node.children ?? []).slice().reverse().forEach((child) => {
+      if (child.role) pending.push({ node: child, sections: childSections });
+    });
+  }
+
+  return headings;
+};
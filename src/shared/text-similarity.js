@@ -0,0 +1,41 @@
+/**
+ * Fuzzy title comparison, used to find TOC titles on pages and to pair the entries
+ * of two outlines.
+ */
+
+// Letters only, without accents or case
+export const normalizeText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[^a-zA-Z]/g, '')
+  .toLowerCase();
+
+const buildLetterBigrams = (text) => {
+  const cleaned = normalizeText(text);
+  if (cleaned.length < 2) return [];
+  const grams = [];
+  for (let i = 0; i < cleaned.length - 1; i++) {
+    grams.push(cleaned.slice(i, i + 2));
+  }
+  return grams;
+};
+
+// Dice coefficient of the letter pairs of two texts: 1 for the same letters, 0 for nothing in common
+export const diceSimilarity = (left, right) => {
+  const a = buildLetterBigrams(left);
+  const b = buildLetterBigrams(right);
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const counts = new Map();
+  a.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let intersection = 0;
+  b.forEach((gram) => {
+    const current = counts.get(gram) || 0;
+    if (current > 0) {
+      intersection += 1;
+      counts.set(gram, current - 1);
+    }
+  });
+
+  return (2 * intersection) / (a.length + b.length);
+};
@@ -1,19 +1,42 @@
-import { readFile, writeFile, stat } from 'node:fs/promises';
+import { readFile, writeFile, stat, mkdtemp, rm } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import assert from 'node:assert/strict';
-import { applyOutlineToPdf } from '../src/shared/outline.js';
-import { PDFDocument, PDFName } from 'pdf-lib';
+import { applyOutlineToPdf, extractOutline, extractOutlineWithDiagnostics } from '../src/shared/outline.js';
+import { isPasswordError, loadPdfDocument } from '../src/shared/encryption.js';
+import { formatOutlineText, parseOutlineText } from '../src/shared/outline-text.js';
+import {
+  outlineFormatFor,
+  parseOutline,
+  parseOutlineWithDiagnostics,
+  serializeOutline,
+  toPlainItems
+} from '../src/shared/outline-file.js';
+import { diffOutlines } from '../src/shared/outline-diff.js';
+import { mergePdfs } from '../src/shared/merge.js';
+import { computeSections, formatSectionFileNames } from '../src/shared/sections.js';
+import { splitPdf } from '../src/shared/split.js';
+import { computePageLabels, inferPageLabelRanges } from '../src/shared/page-labels.js';
+import { clusterHeadingStyles, buildHeadingEntries } from '../src/shared/heading-detection.js';
+import { collectMarkedContentText, findStructureHeadings } from '../src/shared/structure-headings.js';
+import { PDFDocument, PDFName, PDFString, PDFRef } from 'pdf-lib';
 
 const fixturePath = new URL('./fixtures/nist-outline.pdf', import.meta.url);
 const outputPath = new URL('./fixtures/nist-outline-output.pdf', import.meta.url);
+// AES-128 (revision 4) with user password "user" and owner password "owner"
+const encryptedPath = new URL('./fixtures/encrypted-aes128.pdf', import.meta.url);
+const cliPath = new URL('../src/cli/pdf-outline.js', import.meta.url);
 
 const run = async () => {
   const input = await readFile(fixturePath);
 
   const outline = [
     { id: 'root-1', title: 'Cover', pageIndex: 0, level: 0 },
-    { id: 'root-2', title: 'Introduction', pageIndex: 2, level: 0 },
-    { id: 'child-1', title: 'Goals', pageIndex: 3, level: 1 },
-    { id: 'root-3', title: 'Appendix', pageIndex: 10, level: 0 }
+    { id: 'root-2', title: 'Introduction', pageIndex: 2, level: 0, color: '#cc0000', style: { bold: true, italic: false } },
+    { id: 'child-1', title: 'Goals', pageIndex: 3, level: 1, dest: { type: 'XYZ', left: 72, top: 540.5, zoom: null } },
+    { id: 'root-3', title: 'Appendix', pageIndex: 10, level: 0, dest: { type: 'FitH', top: 300 } }
   ];
 
   const output = await applyOutlineToPdf(input, outline);
@@ -30,6 +53,583 @@ const run = async () => {
   const count = outlinesDict.get(PDFName.of('Count'));
   assert.equal(Number(count?.numberValue ?? 0), 4, 'Outline count should match entries');
 
+  const extracted = await extractOutline(output);
+  assert.deepEqual(
+    extracted.map(({ title, pageIndex, level }) => ({ title, pageIndex, level })),
+    outline.map(({ title, pageIndex, level }) => ({ title, pageIndex, level })),
+    'Extracted outline should match the written entries'
+  );
+  assert.deepEqual(extracted[0].dest, { type: 'XYZ', left: null, top: null, zoom: null }, 'Missing view should default to XYZ');
+  assert.deepEqual(extracted[2].dest, { type: 'XYZ', left: 72, top: 540.5, zoom: null }, 'XYZ coordinates should round-trip');
+  assert.deepEqual(extracted[3].dest, { type: 'FitH', top: 300 }, 'FitH view should round-trip');
+  assert.equal(extracted[1].color, '#cc0000', 'Color should round-trip');
+  assert.deepEqual(extracted[1].style, { bold: true, italic: false }, 'Bold flag should round-trip');
+  assert.equal(extracted[0].color, null, 'Entries without /C should have no color');
+  assert.equal(extracted[0].style, null, 'Entries without /F should have no style');
+
+  // Named destinations: catalog /Dests names and /Names → /Dests string keys
+  const namedDoc = await PDFDocument.load(input);
+  const anchorRef = namedDoc.getPages()[4].ref;
+  const treeRoot = namedDoc.context.obj({
+    Names: [PDFString.of('sec.appendix'), namedDoc.context.obj([anchorRef, PDFName.of('FitH'), 500])]
+  });
+  namedDoc.catalog.set(PDFName.of('Names'), namedDoc.context.obj({ Dests: namedDoc.context.register(treeRoot) }));
+  const namedInput = await namedDoc.save();
+
+  const namedOutline = [
+    { title: 'By name', pageIndex: 0, level: 0, namedDest: { name: 'h.12ednkcpfbny', kind: 'name' } },
+    { title: 'By string', pageIndex: 0, level: 0, namedDest: { name: 'sec.appendix', kind: 'string' } }
+  ];
+
+  const flattened = await extractOutline(await applyOutlineToPdf(namedInput, namedOutline));
+  assert.equal(flattened[1].pageIndex, 0, 'Named destinations should be flattened by default');
+
+  const named = await extractOutline(await applyOutlineToPdf(namedInput, namedOutline, { preserveNamedDests: true }));
+  assert.deepEqual(named[0].namedDest, { name: 'h.12ednkcpfbny', kind: 'name' }, 'Catalog /Dests name should be kept');
+  assert.deepEqual(named[0].dest, { type: 'XYZ', left: 72, top: 456.27734, zoom: 0 }, 'Catalog /Dests name should resolve');
+  assert.deepEqual(named[1].namedDest, { name: 'sec.appendix', kind: 'string' }, 'Name tree string should be kept');
+  assert.equal(named[1].pageIndex, 4, 'Name tree string should resolve to its page');
+  assert.deepEqual(named[1].dest, { type: 'FitH', top: 500 }, 'Name tree string should resolve to its view');
+
+  // Closed entries are written with a negative /Count and read back as closed
+  const collapsedOutline = [
+    { title: 'Part I', pageIndex: 0, level: 0, open: false },
+    { title: 'Chapter 1', pageIndex: 1, level: 1 },
+    { title: 'Chapter 2', pageIndex: 2, level: 1 },
+    { title: 'Part II', pageIndex: 3, level: 0 },
+    { title: 'Chapter 3', pageIndex: 4, level: 1 }
+  ];
+  const collapsedOutput = await applyOutlineToPdf(input, collapsedOutline);
+  const collapsedDoc = await PDFDocument.load(collapsedOutput);
+  const collapsedRoot = collapsedDoc.context.lookup(collapsedDoc.catalog.get(PDFName.of('Outlines')));
+  const partOne = collapsedDoc.context.lookup(collapsedRoot.get(PDFName.of('First')));
+  assert.equal(collapsedRoot.get(PDFName.of('Count')).asNumber(), 3, 'Root count should only include visible entries');
+  assert.equal(partOne.get(PDFName.of('Count')).asNumber(), -2, 'Closed entry should have a negative count');
+
+  const collapsed = await extractOutline(collapsedOutput);
+  assert.deepEqual(collapsed.map(item => item.open), [false, true, true, true, true], 'Open state should round-trip');
+
+  // Non-GoTo actions survive the round trip
+  const actionOutline = [
+    { title: 'Website', level: 0, action: { type: 'URI', uri: 'https://example.com/a(b)?q=1' } },
+    {
+      title: 'Other PDF',
+      level: 0,
+      action: { type: 'GoToR', file: 'annexes/annex.pdf', pageIndex: 3, dest: { type: 'Fit' }, namedDest: null }
+    },
+    { title: 'Next', level: 0, action: { type: 'Named', name: 'NextPage' } },
+    { title: 'Script', level: 0, action: { type: 'JavaScript', script: 'app.alert("hé");' } },
+    { title: 'Launch', level: 0, action: { type: 'Launch', file: 'readme.txt' } }
+  ];
+  const actions = await extractOutline(await applyOutlineToPdf(input, actionOutline));
+  assert.deepEqual(actions.map(item => item.action), actionOutline.map(item => item.action), 'Actions should round-trip');
+
+  // Saving again reclaims the objects of the outline being replaced
+  let report = null;
+  const resaved = await applyOutlineToPdf(output, outline, { onReport: (value) => { report = value; } });
+  assert.equal(report.reclaimedObjects, outline.length + 1, 'Old outline root and entries should be reclaimed');
+  const resavedDoc = await PDFDocument.load(resaved);
+  assert.equal(
+    resavedDoc.context.enumerateIndirectObjects().length,
+    pdfDoc.context.enumerateIndirectObjects().length,
+    'Re-saving the same outline should not grow the object count'
+  );
+
+  // Incremental updates keep the original bytes and append the new outline
+  const incremental = await applyOutlineToPdf(input, outline, { incremental: true });
+  assert.ok(incremental.length > input.length, 'Incremental output should grow the file');
+  assert.ok(Buffer.from(incremental.subarray(0, input.length)).equals(input), 'Original bytes should be untouched');
+  const incrementalOutline = await extractOutline(incremental);
+  assert.deepEqual(incrementalOutline.map(item => item.title), outline.map(item => item.title), 'Appended outline should be read back');
+
+  const signedDoc = await PDFDocument.load(input);
+  signedDoc.catalog.set(PDFName.of('AcroForm'), signedDoc.context.obj({ Fields: [], SigFlags: 3 }));
+  const signedInput = await signedDoc.save();
+  const autoSigned = await applyOutlineToPdf(signedInput, outline, { incremental: 'auto' });
+  assert.ok(Buffer.from(autoSigned.subarray(0, signedInput.length)).equals(Buffer.from(signedInput)), 'Signed files should be updated incrementally');
+  const autoUnsigned = await applyOutlineToPdf(input, outline, { incremental: 'auto' });
+  assert.ok(!Buffer.from(autoUnsigned.subarray(0, input.length)).equals(input), 'Unsigned files should be rewritten');
+
+  // A rewrite stamps the document's metadata, as any full save does
+  const datedDoc = await PDFDocument.load(input, { updateMetadata: false });
+  datedDoc.setModificationDate(new Date('2001-02-03T04:05:06Z'));
+  datedDoc.setProducer('Original producer');
+  const autoDated = await PDFDocument.load(
+    await applyOutlineToPdf(await datedDoc.save(), outline, { incremental: 'auto' }),
+    { updateMetadata: false }
+  );
+  assert.notEqual(autoDated.getModificationDate()?.getTime(), new Date('2001-02-03T04:05:06Z').getTime(), 'ModDate should be updated by an auto save of an unsigned file');
+  assert.notEqual(autoDated.getProducer(), 'Original producer', 'Producer should be updated by an auto save of an unsigned file');
+
+  // Keys the editor does not manage survive a rewrite of entries and the root
+  const extrasDoc = await PDFDocument.load(output);
+  const extrasRoot = extrasDoc.context.lookup(extrasDoc.catalog.get(PDFName.of('Outlines')));
+  extrasRoot.set(PDFName.of('PieceInfo'), extrasDoc.context.obj({ Tool: 'kept' }));
+  const extrasFirst = extrasDoc.context.lookup(extrasRoot.get(PDFName.of('First')));
+  extrasFirst.set(PDFName.of('SE'), extrasDoc.context.obj({ S: 'H1' }));
+  const extrasInput = await extrasDoc.save();
+  const extrasItems = await extractOutline(extrasInput);
+  extrasItems[1].title = 'Renamed';
+  let extrasReport = null;
+  const extrasOutput = await applyOutlineToPdf(extrasInput, extrasItems, { onReport: (report) => { extrasReport = report; } });
+  const extrasSaved = await PDFDocument.load(extrasOutput);
+  const savedRoot = extrasSaved.context.lookup(extrasSaved.catalog.get(PDFName.of('Outlines')));
+  assert.ok(savedRoot.get(PDFName.of('PieceInfo')), 'Outline root extras should be kept');
+  assert.ok(extrasSaved.context.lookup(savedRoot.get(PDFName.of('First'))).get(PDFName.of('SE')), 'Entry extras should be kept');
+  const extrasRead = await extractOutline(extrasOutput);
+  assert.deepEqual(extrasRead.map(item => item.title), extrasItems.map(item => item.title), 'Edits should be merged into kept entries');
+  assert.equal(extrasReport.sourceRefs[extrasItems[0].id], extrasRead[0].sourceRef, 'Report should point items at their new entries');
+
+  // An empty outline removes the bookmarks
+  assert.deepEqual(await extractOutline(await applyOutlineToPdf(output, [])), [], 'Stripping should remove the outline');
+
+  // Indented text keeps titles, levels and pages
+  const asText = formatOutlineText(outline);
+  assert.equal(asText.split('\n')[2], '  Goals\t4', 'Text lines should be indented by level');
+  assert.deepEqual(
+    parseOutlineText(asText),
+    outline.map(({ title, pageIndex, level }) => ({ title, pageIndex, level })),
+    'Text outline should round-trip'
+  );
+  assert.deepEqual(
+    parseOutlineText('Part\n\tChapter .... 7\n\t\tSection  9\nEnd'),
+    [
+      { title: 'Part', pageIndex: 0, level: 0 },
+      { title: 'Chapter', pageIndex: 6, level: 1 },
+      { title: 'Section', pageIndex: 8, level: 2 },
+      { title: 'End', pageIndex: 8, level: 0 }
+    ],
+    'Tabs, dot leaders and missing pages should be understood'
+  );
+
+  // Outline files are JSON unless named .txt; JSON may wrap the items in an object
+  assert.equal(outlineFormatFor('toc/Outline.TXT'), 'text', 'A .txt file should be read as text');
+  assert.deepEqual(
+    parseOutline(serializeOutline(outline, 'json'), outlineFormatFor('outline.json')),
+    parseOutline(JSON.stringify({ items: toPlainItems(outline) }), 'json'),
+    'Outline JSON should be read as an array or as { items }'
+  );
+
+  // pdftk bookmarks are 1-based, entity-escaped and found among other dump_data records
+  const bookmarks = serializeOutline([{ title: 'Café <R&D>', pageIndex: 2, level: 1 }], 'pdftk');
+  assert.equal(
+    bookmarks,
+    'BookmarkBegin\nBookmarkTitle: Caf&#233; &lt;R&amp;D&gt;\nBookmarkLevel: 2\nBookmarkPageNumber: 3\n',
+    'pdftk bookmarks should be 1-based with entity-escaped titles'
+  );
+  const dumpData = `InfoBegin\nInfoKey: Title\nInfoValue: Report\n${bookmarks}BookmarkBegin\nBookmarkTitle: Na&#xEF;ve\nBookmarkLevel: 1\nBookmarkPageNumber: 0\nPageMediaBegin\nPageMediaNumber: 1\n`;
+  assert.equal(outlineFormatFor('dump.txt', dumpData), 'pdftk', 'dump_data output should be recognized');
+  assert.equal(outlineFormatFor('outline.txt', formatOutlineText(outline)), 'text', 'Indented text is not pdftk');
+  assert.deepEqual(
+    parseOutline(dumpData, 'pdftk'),
+    [{ title: 'Café <R&D>', pageIndex: 2, level: 1 }, { title: 'Naïve', pageIndex: 0, level: 0 }],
+    'pdftk bookmarks should round-trip and skip other records'
+  );
+
+  // Titles with line breaks stay one entry, and later entries keep their pages
+  const brokenTitles = [{ title: 'Line\nbreak', pageIndex: 3, level: 0 }, { title: 'Tab\there', pageIndex: 5, level: 1 }];
+  ['text', 'markdown'].forEach((format) => {
+    assert.deepEqual(
+      parseOutline(serializeOutline(brokenTitles, format), format),
+      [{ title: 'Line break', pageIndex: 3, level: 0 }, { title: 'Tab here', pageIndex: 5, level: 1 }],
+      `Line breaks in titles should round-trip through ${format}`
+    );
+  });
+
+  // Markdown headings carry six levels; deeper entries become list items under them
+  const deepOutline = [0, 1, 5, 6, 7, 1].map((level, index) => ({ title: `Entry ${index}`, pageIndex: index, level }));
+  const markdown = serializeOutline(deepOutline, 'markdown');
+  assert.ok(markdown.startsWith('# Entry 0 … 1\n## Entry 1 … 2\n###### Entry 2 … 3\n- Entry 3 … 4\n  - Entry 4 … 5\n'), 'Markdown should use headings, then lists');
+  assert.deepEqual(parseOutline(markdown, outlineFormatFor('outline.md')), deepOutline, 'Markdown outlines should round-trip');
+  assert.deepEqual(
+    parseOutline('Intro\n\n# Part\n## Chapter … 12\n- Note\n## Next .... 14\n', outlineFormatFor(null, '# Part')),
+    [
+      { title: 'Part', pageIndex: 0, level: 0 },
+      { title: 'Chapter', pageIndex: 11, level: 1 },
+      { title: 'Note', pageIndex: 11, level: 2 },
+      { title: 'Next', pageIndex: 13, level: 1 }
+    ],
+    'Markdown paragraphs should be skipped and pages carried forward'
+  );
+  assert.equal(outlineFormatFor(null, 'Part\t1\n\tChapter\t2\n'), 'text', 'Pasted indented text should be recognized');
+  assert.equal(outlineFormatFor(null, '[{"title":"Part"}]'), 'json', 'Pasted JSON should be recognized');
+
+  // CSV and OPML round-trip; rows they cannot read are reported, not fatal
+  const exchanged = [
+    { title: 'Front, "Matter"', pageIndex: 0, level: 0, dest: { type: 'Fit' } },
+    { title: 'Café & <Bar>', pageIndex: 3, level: 1 },
+    { title: 'Deep', pageIndex: 4, level: 2 },
+    { title: 'Back', pageIndex: 9, level: 0 }
+  ];
+  const csv = serializeOutline(exchanged, 'csv', { pageLabels: ['i', 'ii', '1', '2', '3'] });
+  assert.ok(csv.startsWith('level,title,page,page_label,dest_type\r\n1,"Front, ""Matter""",1,i,Fit\r\n'), 'CSV should quote fields and add labels');
+  assert.deepEqual(parseOutline(csv, outlineFormatFor('toc.csv')), exchanged, 'CSV outlines should round-trip');
+  assert.deepEqual(
+    parseOutline(serializeOutline(exchanged, 'opml'), outlineFormatFor('toc.xml', '<opml version="2.0">')),
+    exchanged.map(({ dest, ...item }) => item),
+    'OPML outlines should round-trip by nesting'
+  );
+  const guarded = serializeOutline([{ title: '=HYPERLINK("x")', pageIndex: 0, level: 0 }, { title: '-1 dB', pageIndex: 1, level: 0 }], 'csv');
+  assert.ok(guarded.includes(`\r\n1,"'=HYPERLINK(""x"")",1,,\r\n1,'-1 dB,2,,\r\n`), 'CSV should guard formula-like titles');
+  assert.deepEqual(parseOutline(guarded, 'csv').map(item => item.title), ['=HYPERLINK("x")', '-1 dB'], 'Guarded titles should read back');
+  assert.ok(
+    serializeOutline([{ title: 'Café\u000b', pageIndex: 0, level: 0 }], 'opml').includes('<outline text="Café" page="1"/>'),
+    'OPML should be UTF-8 without references XML does not allow'
+  );
+  const { items: csvItems, diagnostics: csvProblems } = parseOutlineWithDiagnostics(
+    'Title;Level;Page label\nIntro;2;ii\nBad;x;1\nSkipped;4;\nNowhere;2;xx\n',
+    'csv',
+    { pageLabels: ['i', 'ii'] }
+  );
+  assert.deepEqual(
+    csvItems,
+    [{ title: 'Intro', pageIndex: 1, level: 0 }, { title: 'Skipped', pageIndex: 1, level: 1 }],
+    'CSV rows should be read by header, with levels normalized'
+  );
+  assert.deepEqual(
+    csvProblems.map(({ code, line }) => [code, line]),
+    [['bad-level', 3], ['level-jump', 4], ['bad-page', 5]],
+    'CSV problems should be reported by line'
+  );
+  assert.deepEqual(
+    parseOutlineWithDiagnostics('<opml><body>\n<outline text="A" page="2">\n<outline title="B" page="two"/>\n</outline></outline>\n<outline/>', 'opml'),
+    {
+      items: [{ title: 'A', pageIndex: 1, level: 0 }, { title: 'B', pageIndex: 1, level: 1 }, { title: 'Untitled', pageIndex: 1, level: 0 }],
+      diagnostics: [
+        { code: 'bad-page', message: 'Line 3: page "two" is not a whole number from 1; the page before it is used', line: 3 },
+        { code: 'unbalanced', message: 'Line 4: closing </outline> without an open entry; it is ignored', line: 4 },
+        { code: 'missing-title', message: 'Line 5: the entry has no text; it is read as "Untitled"', line: 5 }
+      ]
+    },
+    'OPML problems should be reported by line'
+  );
+
+  // LaTeX and EPUB exports escape titles for their target and nest by the outline tree
+  const exported = [
+    { title: '50% of R&D_{x}', pageIndex: 0, level: 0, style: { bold: true, italic: false } },
+    { title: 'Web', level: 1, action: { type: 'URI', uri: 'https://example.com' } },
+    { title: 'Tom & "Jerry" <3', pageIndex: 2, level: 1 }
+  ];
+  assert.equal(
+    serializeOutline(exported, outlineFormatFor('bookmarks.tex')),
+    '% Outline as bookmark package commands; needs \\usepackage{bookmark}\n'
+      + '\\bookmark[page=1,level=0,bold]{50\\% of R\\&D\\_\\{x\\}}\n'
+      + '\\bookmark[page=3,level=1]{Tom \\& "Jerry" <3}\n',
+    'LaTeX bookmarks should escape titles and leave out links'
+  );
+  const nav = serializeOutline(exported, outlineFormatFor('nav.xhtml'), { pageCount: 3, pageLabels: ['i', 'ii', '1'] });
+  assert.ok(nav.includes(
+    '<li><a href="page-1.xhtml">50% of R&amp;D_{x}</a>\n          <ol>\n            <li><a href="page-3.xhtml">Tom &amp; &quot;Jerry&quot; &lt;3</a></li>\n          </ol>\n        </li>'
+  ), 'EPUB navigation should nest entries');
+  assert.ok(nav.includes('<li><a href="page-2.xhtml">ii</a></li>'), 'EPUB page list should use page labels');
+  const ncx = serializeOutline(exported, outlineFormatFor('toc.ncx'), { pageCount: 3, pageLabels: ['i', 'ii', '1'] });
+  assert.ok(ncx.includes('<navPoint id="navpoint-2" playOrder="3">'), 'NCX play order should follow the pages');
+  assert.ok(ncx.includes('<pageTarget id="page-3" type="normal" value="1" playOrder="3">'), 'NCX page targets should be typed by label');
+  assert.throws(() => parseOutline(ncx, 'epub-ncx'), /only be exported/, 'Export-only formats should not be read');
+
+  // Outline comparison pairs entries by title and names each kind of change
+  const entry = (title, pageIndex, level = 0) => ({ title, pageIndex, level });
+  assert.deepEqual(
+    diffOutlines(
+      [entry('Preface', 0), entry('Chapter 1: Basics', 2), entry('Old Notes', 3, 1), entry('Chapter 2', 5), entry('Index', 9)],
+      [entry('Chapter 2', 6), entry('Chapter 1 - Basics', 2), entry('New Section', 4, 1), entry('Index', 9, 1)]
+    ).map(({ type, base, other, changes }) => [type, (base ?? other).title, changes.join(',')]),
+    [
+      ['removed', 'Preface', ''],
+      ['changed', 'Chapter 2', 'page'],
+      ['changed', 'Chapter 1: Basics', 'renamed,moved'],
+      ['removed', 'Old Notes', ''],
+      ['added', 'New Section', ''],
+      ['changed', 'Index', 'level']
+    ],
+    'Outline differences should be found and aligned'
+  );
+
+  // Sections run from their entry to the next entry at the same or a higher level
+  const sectionOutline = [
+    entry('Part A', 0), entry('Chapter 1', 1, 1), entry('Section 1.1', 2, 2), entry('Chapter 2', 4, 1),
+    entry('Part B', 6), entry('Chapter 3', 6, 1)
+  ];
+  const sections = computeSections(sectionOutline, 1, 10);
+  assert.deepEqual(
+    sections.map(({ title, startPage, endPage, items }) => [title, startPage, endPage, items.map(item => [item.pageIndex, item.level])]),
+    [
+      ['Chapter 1', 1, 4, [[0, 0], [1, 1]]],
+      ['Chapter 2', 4, 6, [[0, 0]]],
+      ['Chapter 3', 6, 10, [[0, 0]]]
+    ],
+    'Sections should span up to the next same-or-higher-level entry, with rebased sub-outlines'
+  );
+  assert.deepEqual(
+    formatSectionFileNames([...sections, { number: 4, title: 'Chapter 1' }, { number: 10, title: 'What/Why?' }], '{n} - {title}'),
+    ['01 - Chapter 1.pdf', '02 - Chapter 2.pdf', '03 - Chapter 3.pdf', '04 - Chapter 1.pdf', '10 - What Why.pdf'],
+    'File names should be numbered and safe'
+  );
+
+  // Each part of a split holds its section's pages and outline, rebased to its first page;
+  // references to the source file's objects are not carried into the part
+  const splitSource = await extractOutline(output);
+  const splitSections = computeSections(splitSource, 0, pdfDoc.getPageCount());
+  const partInfoRef = (await PDFDocument.create()).context.trailerInfo.Info.toString();
+  const parts = [];
+  await splitPdf(output, splitSections.map(section => ({
+    ...section,
+    items: section.items.map(item => ({ ...item, sourceRef: partInfoRef }))
+  })), async (section, data) => { parts.push({ section, data }); });
+  assert.equal(parts.length, splitSections.length, 'Every section should be written');
+  for (const { section, data } of parts) {
+    const partDoc = await PDFDocument.load(data);
+    assert.equal(partDoc.getPageCount(), section.endPage - section.startPage, `"${section.title}" should hold its section's pages`);
+    assert.deepEqual(
+      (await extractOutline(data)).map(({ title, pageIndex, level }) => [title, pageIndex, level]),
+      section.items.map(({ title, pageIndex, level }) => [title, pageIndex, level]),
+      `"${section.title}" should carry its rebased outline`
+    );
+    const partFirst = partDoc.context.lookup(partDoc.context.lookup(partDoc.catalog.get(PDFName.of('Outlines'))).get(PDFName.of('First')));
+    assert.ok(!partFirst.has(PDFName.of('Producer')), `"${section.title}" entries should not copy objects named by a source reference`);
+  }
+
+  // Broken links are reported instead of looping or failing
+  const clean = await extractOutlineWithDiagnostics(output);
+  assert.deepEqual(clean.diagnostics, [], 'A well-formed outline should have no problems');
+
+  const brokenDoc = await PDFDocument.load(output);
+  const brokenRoot = brokenDoc.context.lookup(brokenDoc.catalog.get(PDFName.of('Outlines')));
+  const firstEntryRef = brokenRoot.get(PDFName.of('First'));
+  const firstEntry = brokenDoc.context.lookup(firstEntryRef);
+  const secondEntry = brokenDoc.context.lookup(firstEntry.get(PDFName.of('Next')));
+  const lastEntry = brokenDoc.context.lookup(brokenRoot.get(PDFName.of('Last')));
+  lastEntry.set(PDFName.of('Next'), firstEntryRef);
+  secondEntry.delete(PDFName.of('Title'));
+  secondEntry.delete(PDFName.of('Prev'));
+  const goalsEntry = brokenDoc.context.lookup(secondEntry.get(PDFName.of('First')));
+  goalsEntry.set(PDFName.of('Next'), PDFRef.of(99999));
+  const broken = await extractOutlineWithDiagnostics(await brokenDoc.save());
+  assert.deepEqual(broken.items.map(item => item.title), ['Cover', 'Untitled', 'Goals', 'Appendix'], 'Entries before a cycle should be kept');
+  assert.deepEqual(
+    broken.diagnostics.map(({ code }) => code).sort(),
+    ['bad-prev', 'cycle', 'dangling-ref', 'missing-title'],
+    'Each problem should be reported'
+  );
+
+  const manyOutline = Array.from({ length: 10000 }, (_, index) => ({ title: `Item ${index}`, pageIndex: 0, level: 0 }));
+  const many = await extractOutline(await applyOutlineToPdf(input, manyOutline));
+  assert.equal(many.length, manyOutline.length, 'Long sibling chains should be read without recursion');
+
+  // Page label ranges are written as a /PageLabels number tree and read back
+  const labelRanges = [
+    { startPage: 0, style: 'r', prefix: '', start: 1 },
+    { startPage: 3, style: 'D', prefix: '', start: 1 },
+    { startPage: 10, style: 'A', prefix: 'App. ', start: 1 }
+  ];
+  assert.deepEqual(
+    computePageLabels(labelRanges, 12),
+    ['i', 'ii', 'iii', '1', '2', '3', '4', '5', '6', '7', 'App. A', 'App. B'],
+    'Labels should follow the style, prefix and start of each range'
+  );
+  assert.deepEqual(
+    computePageLabels([{ startPage: 2, style: 'R', prefix: '', start: 4 }], 4),
+    ['1', '2', 'IV', 'V'],
+    'Pages before the first range should keep plain numbers'
+  );
+  // Printed numbers: cover, roman front matter, an unnumbered chapter opening, a stray
+  // figure number, arabic pages and an appendix that restarts at 1
+  const roman = number => ({ number, style: 'r' });
+  const arabic = number => ({ number, style: 'D' });
+  assert.deepEqual(
+    inferPageLabelRanges([null, roman(2), roman(3), null, arabic(2), arabic(42), arabic(4), arabic(5), arabic(1), arabic(2)]),
+    [
+      { startPage: 0, style: 'r', prefix: '', start: 1 },
+      { startPage: 3, style: 'D', prefix: '', start: 1 },
+      { startPage: 8, style: 'D', prefix: '', start: 1 }
+    ],
+    'Page label ranges should be inferred from printed page numbers'
+  );
+
+  const labelled = await applyOutlineToPdf(input, outline, { pageLabels: labelRanges });
+  assert.deepEqual((await extractOutlineWithDiagnostics(labelled)).pageLabels, labelRanges, 'Page labels should round-trip');
+  assert.deepEqual(
+    (await extractOutlineWithDiagnostics(await applyOutlineToPdf(labelled, outline))).pageLabels,
+    labelRanges,
+    'Page labels should be kept when not edited'
+  );
+  assert.equal(
+    (await extractOutlineWithDiagnostics(await applyOutlineToPdf(labelled, outline, { pageLabels: [] }))).pageLabels,
+    null,
+    'An empty list should remove the page labels'
+  );
+
+  // Headings are told apart from body text by size and weight
+  const body = text => ({ text, size: 10, bold: false });
+  const styledLines = [
+    { text: 'A Long Chapter', size: 18, bold: false },
+    { text: 'Title', size: 18, bold: false },
+    body('Body text that is long enough to set the body style of the document.'),
+    { text: 'Section One', size: 10, bold: true },
+    body('More body text, again long enough to outweigh the headings.'),
+    { text: '12', size: 18, bold: false }
+  ].map((line, index) => ({ ...line, pageIndex: index < 3 ? 0 : 1, top: 700 - (index % 3) * 22 }));
+  const headingStyles = clusterHeadingStyles(styledLines);
+  assert.deepEqual(headingStyles.map(({ key, count, level }) => ({ key, count, level })), [
+    { key: '18', count: 2, level: 1 },
+    { key: '10b', count: 1, level: 2 }
+  ], 'Heading styles should be ranked by size, then weight');
+  assert.deepEqual(
+    buildHeadingEntries(styledLines, { 18: 1, '10b': 2 }).map(({ title, pageIndex, level, dest }) => [title, pageIndex, level, dest.top]),
+    [['A Long Chapter Title', 0, 1, 700], ['Section One', 1, 2, 700]],
+    'Wrapped headings should be joined and point at their position'
+  );
+
+  // Tagged headings: numbered roles give their level, a plain H the depth of its sections
+  const markedText = collectMarkedContentText([
+    { type: 'beginMarkedContentProps', id: 'p1R_mc0' },
+    { str: 'Intro', hasEOL: true },
+    { str: 'duction', hasEOL: false },
+    { type: 'endMarkedContent' },
+    { type: 'beginMarkedContentProps', id: 'p1R_mc1' },
+    { type: 'beginMarkedContent' },
+    { str: 'Scope', hasEOL: false },
+    { type: 'endMarkedContent' },
+    { type: 'endMarkedContent' },
+    { str: 'Untagged', hasEOL: false }
+  ]);
+  assert.deepEqual([...markedText], [['p1R_mc0', 'Intro duction'], ['p1R_mc1', 'Scope']],
+    'Marked content should collect the text inside it, nested sequences included');
+  const structTree = {
+    role: 'Root',
+    children: [{
+      role: 'Document',
+      children: [
+        { role: 'H1', children: [{ type: 'content', id: 'p1R_mc0' }] },
+        { role: 'Sect', children: [{ role: 'Sect', children: [{ role: 'H', children: [{ type: 'content', id: 'p1R_mc1' }] }] }] },
+        { role: 'H3', alt: 'Figure  list', children: [] },
+        { role: 'H2', children: [{ type: 'content', id: 'missing' }] },
+        { role: 'P', children: [{ type: 'content', id: 'p1R_mc1' }] }
+      ]
+    }]
+  };
+  assert.deepEqual(findStructureHeadings(structTree, markedText, 4), [
+    { title: 'Intro duction', pageIndex: 4, level: 1 },
+    { title: 'Scope', pageIndex: 4, level: 2 },
+    { title: 'Figure list', pageIndex: 4, level: 3 }
+  ], 'Structure headings should be read in order with their levels, empty ones left out');
+
+  // Encrypted files open with either password and are saved encrypted with the same key
+  const encrypted = await readFile(encryptedPath);
+  await assert.rejects(extractOutline(encrypted), isPasswordError, 'A password should be required');
+  await assert.rejects(extractOutline(encrypted, { password: 'wrong' }), isPasswordError, 'Wrong passwords should be rejected');
+  const encryptedOutline = await extractOutline(encrypted, { password: 'user' });
+  assert.deepEqual(encryptedOutline.map(item => item.title), ['Cover', 'Scope', 'Terms'], 'Decrypted titles should be read');
+  assert.deepEqual(encryptedOutline[2].dest, { type: 'FitH', top: 400 }, 'Decrypted destinations should be read');
+
+  const renamed = encryptedOutline.map(item => ({ ...item, title: `${item.title} (edited)` }));
+  const reencrypted = await applyOutlineToPdf(encrypted, renamed, { password: 'owner' });
+  await assert.rejects(extractOutline(reencrypted), isPasswordError, 'Saved copy should stay encrypted');
+  assert.deepEqual(
+    (await extractOutline(reencrypted, { password: 'user' })).map(item => item.title),
+    renamed.map(item => item.title),
+    'Saved copy should open with the original user password'
+  );
+
+  // An incremental update of an encrypted file appends its objects encrypted with the same key
+  const encryptedIncremental = await applyOutlineToPdf(encrypted, renamed, { password: 'user', incremental: true });
+  assert.ok(Buffer.from(encryptedIncremental.subarray(0, encrypted.length)).equals(encrypted), 'Encrypted original bytes should be untouched');
+  await assert.rejects(extractOutline(encryptedIncremental), isPasswordError, 'Incrementally updated copy should stay encrypted');
+  assert.deepEqual(
+    (await extractOutline(encryptedIncremental, { password: 'user' })).map(item => item.title),
+    renamed.map(item => item.title),
+    'Appended encrypted outline should decrypt with the original password'
+  );
+  const appendedTrailer = Buffer.from(encryptedIncremental.subarray(encrypted.length)).toString('latin1').split('trailer').pop();
+  assert.match(appendedTrailer, /\/Encrypt \d+ 0 R/, 'Appended trailer should keep /Encrypt');
+  assert.match(appendedTrailer, /\/ID \[/, 'Appended trailer should keep /ID');
+
+  // A document parsed once can be read and then saved without parsing it again
+  const progress = [];
+  const loaded = await loadPdfDocument(encrypted, { password: 'user', updateMetadata: false, onProgress: fraction => progress.push(fraction) });
+  assert.ok(progress.length > 0 && progress.every(fraction => fraction > 0 && fraction <= 1), 'Parsing should report its progress');
+  const { items: sharedItems } = await extractOutlineWithDiagnostics(encrypted, { loaded });
+  const withoutIds = items => items.map(({ id, ...item }) => item);
+  assert.deepEqual(withoutIds(sharedItems), withoutIds(encryptedOutline), 'A parsed document should give the same outline');
+  const savedFromLoaded = await applyOutlineToPdf(encrypted, renamed, { loaded });
+  assert.deepEqual(
+    (await extractOutline(savedFromLoaded, { password: 'user' })).map(item => item.title),
+    renamed.map(item => item.title),
+    'A parsed document should save like the file it came from'
+  );
+
+  // Merged documents nest each source's outline under an entry for the source
+  await assert.rejects(
+    mergePdfs([{ data: input, name: 'first' }, { data: encrypted, name: 'second' }]),
+    error => isPasswordError(error) && error.sourceIndex === 1,
+    'Merging should name the source that needs a password'
+  );
+  const merged = await mergePdfs([
+    { data: encrypted, name: 'Front Matter', password: 'user' },
+    { data: encrypted, name: 'Body', password: 'owner' }
+  ]);
+  const encryptedPages = (await loadPdfDocument(encrypted, { password: 'user' })).pdfDoc.getPageCount();
+  assert.equal(merged.pageCount, encryptedPages * 2, 'Merging should keep every page');
+  assert.deepEqual(
+    (await extractOutline(merged.data)).map(({ title, pageIndex, level }) => [title, pageIndex, level]),
+    ['Front Matter', 'Body'].flatMap((name, index) => [
+      [name, index * encryptedPages, 0],
+      ...encryptedOutline.map(item => [item.title, item.pageIndex + index * encryptedPages, item.level + 1])
+    ]),
+    'Merged outlines should be nested and offset'
+  );
+
+
+  // An entry whose page is not in the document is reported and read as page 1
+  const danglingDoc = await PDFDocument.load(output);
+  const danglingRoot = danglingDoc.context.lookup(danglingDoc.catalog.get(PDFName.of('Outlines')));
+  danglingDoc.context.lookup(danglingRoot.get(PDFName.of('First')))
+    .set(PDFName.of('Dest'), danglingDoc.context.obj([PDFRef.of(9999), PDFName.of('Fit')]));
+  const danglingPdf = await danglingDoc.save();
+  const danglingRead = await extractOutlineWithDiagnostics(danglingPdf);
+  assert.deepEqual(danglingRead.diagnostics.map(({ code, title }) => [code, title]), [['bad-page', 'Cover']],
+    'A destination on a missing page should be reported');
+  assert.equal(danglingRead.items[0].pageIndex, 0, 'A destination on a missing page should be read as page 1');
+
+  // Command line exit codes: 0 success, 1 --check found problems, 2 invalid usage, 3 failure
+  const cliDir = await mkdtemp(join(tmpdir(), 'pdf-outline-'));
+  try {
+    const runCli = args => new Promise((resolve) => {
+      execFile(process.execPath, [fileURLToPath(cliPath), ...args], (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+    const cliInput = join(cliDir, 'input.pdf');
+    const cliDangling = join(cliDir, 'dangling.pdf');
+    const cliOutline = join(cliDir, 'outline.json');
+    const cliPastEnd = join(cliDir, 'past-end.json');
+    const cliOutput = join(cliDir, 'output.pdf');
+    await writeFile(cliInput, Buffer.from(output));
+    await writeFile(cliDangling, Buffer.from(danglingPdf));
+    await writeFile(cliOutline, JSON.stringify(outline));
+    await writeFile(cliPastEnd, JSON.stringify([{ title: 'Too far', pageIndex: 9999, level: 0 }]));
+
+    const checked = await runCli(['extract', cliInput, '--check', '--format', 'text']);
+    assert.equal(checked.code, 0, 'extract --check should pass on a sound outline');
+    assert.deepEqual(parseOutlineText(checked.stdout).map(item => item.title), outline.map(item => item.title),
+      'extract should write the outline to standard output');
+    const danglingChecked = await runCli(['extract', cliDangling, '--check']);
+    assert.equal(danglingChecked.code, 1, 'extract --check should fail on a destination to a missing page');
+    assert.match(danglingChecked.stderr, /not in the document/, 'extract --check should name the problem');
+    assert.equal((await runCli(['extract', cliDangling])).code, 0, 'extract without --check should only warn');
+
+    assert.equal((await runCli(['apply', cliInput, cliPastEnd, '--check'])).code, 1, 'apply --check should fail on a page past the end');
+    assert.equal((await runCli(['apply', cliInput, cliOutline, '--check'])).code, 0, 'apply --check should pass on pages in range');
+    assert.equal((await runCli(['apply', cliInput, cliOutline, '-o', cliOutput])).code, 0, 'apply should succeed');
+    assert.deepEqual((await extractOutline(await readFile(cliOutput))).map(item => item.title), outline.map(item => item.title),
+      'apply should write the outline file into the PDF');
+    assert.equal((await runCli(['apply', cliInput, cliOutline])).code, 2, 'apply without -o should be a usage error');
+    assert.equal((await runCli(['apply', join(cliDir, 'missing.pdf'), cliOutline, '-o', cliOutput])).code, 3,
+      'apply should fail on an unreadable input');
+  } finally {
+    await rm(cliDir, { recursive: true, force: true });
+  }
+
   console.log('Outline test passed.');
 };
 